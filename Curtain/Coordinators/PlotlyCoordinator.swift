@@ -27,6 +27,48 @@ class PlotlyCoordinator: NSObject, WKNavigationDelegate, WKScriptMessageHandler
 
     var renderedTraceNames: [String]?
 
+    /// Colour scheme the loaded page is currently styled for
+    var appliedColorScheme: ColorScheme?
+
+    /// Palette the loaded page is currently using, as "name|symbols"
+    private var appliedPalette: String?
+
+    /// View the loaded page is showing: "volcano", "grid", "rank" or "histogram"
+    private var appliedViewMode = "volcano"
+
+    /// Whether the loaded page was asked for the density background
+    private var appliedDensityMode = false
+
+    /// Whether the loaded page shows the visible-region counts
+    private var appliedSummaryOverlay = false
+
+    /// Whether the loaded page shows the HTML hover card in place of Plotly's label
+    private var appliedHoverCard = false
+
+    /// Renderer the loaded page was asked for; pages start on "auto"
+    private var appliedRenderMode = "auto"
+
+    /// Whether the loaded page lets the cutoff lines be dragged
+    private var appliedThresholdDragging = false
+
+    /// Log level the loaded page is using; pages start at "warn"
+    private var appliedLogLevel = "warn"
+
+    /// Lasso/box selection mode the loaded page is using, as "mode|target"
+    private var appliedSelectionMode = "new|"
+
+    /// Whether the loaded page lets labels be dragged; pages start without it
+    private var appliedAnnotationDragging = false
+
+    /// Latest dump from the page's diagnostics handler
+    var diagnostics: [String: Any]?
+
+    /// Bumped on every page load so batches meant for an old page stop being sent
+    private var pointStreamGeneration = 0
+
+    /// Parent refresh the loaded page was generated or last updated for
+    private var appliedRefreshTrigger = 0
+
 
     init(_ parent: PlotlyWebView) {
         self.parent = parent
@@ -75,8 +117,9 @@ class PlotlyCoordinator: NSObject, WKNavigationDelegate, WKScriptMessageHandler
 
     private func setupNotificationObservers() {
         // VolcanoPlotRefresh is handled by the parent SwiftUI view's .onReceive,
-        // which recreates PlotlyWebView via .id(). The coordinator does NOT observe
-        // it to avoid double-generation with stale data.
+        // which bumps refreshTrigger; refreshPlotIfNeeded then updates the page with
+        // the parent's new data. The coordinator does NOT observe it to avoid
+        // generating from stale data.
 
         NotificationCenter.default.addObserver(
             self,
@@ -84,17 +127,34 @@ class PlotlyCoordinator: NSObject, WKNavigationDelegate, WKScriptMessageHandler
             name: NSNotification.Name("UpdateAnnotationJS"),
             object: nil
         )
+
+        NotificationCenter.default.addObserver(
+            self,
+            selector: #selector(handlePointChosen),
+            name: NSNotification.Name("VolcanoPointChosen"),
+            object: nil
+        )
     }
 
     @objc private func handleAnnotationJSUpdate(_ notification: Notification) {
         guard let userInfo = notification.userInfo,
-              let title = userInfo["title"] as? String,
+              let annotationId = userInfo["id"] as? String ?? userInfo["title"] as? String,
               let ax = userInfo["ax"] as? Double,
               let ay = userInfo["ay"] as? Double else {
             return
         }
 
-        bridgeService.updateAnnotationPosition(title: title, ax: ax, ay: ay)
+        bridgeService.updateAnnotationPosition(id: annotationId, ax: ax, ay: ay)
+    }
+
+    @objc private func handlePointChosen(_ notification: Notification) {
+        guard let point = notification.userInfo?["point"] as? [String: Any],
+              let pointData = try? JSONSerialization.data(withJSONObject: point),
+              let pointJSON = String(data: pointData, encoding: .utf8) else {
+            return
+        }
+
+        handlePointClicked(pointJSON)
     }
 
 
@@ -107,6 +167,10 @@ class PlotlyCoordinator: NSObject, WKNavigationDelegate, WKScriptMessageHandler
         return sharedCoordinator?.bridgeService.getWebView()
     }
 
+    static func getCurrentBridgeService() -> PlotlyBridgeService? {
+        return sharedCoordinator?.bridgeService
+    }
+
     /// Request plot dimensions from JavaScript
     func requestPlotDimensions() {
         bridgeService.requestPlotDimensions()
@@ -144,6 +208,17 @@ class PlotlyCoordinator: NSObject, WKNavigationDelegate, WKScriptMessageHandler
             case "plotReady":
                 self.parent.isLoading = false
                 self.parent.error = nil
+                self.applyColorPaletteIfNeeded()
+                self.applyDensityModeIfNeeded()
+                self.applyViewModeIfNeeded()
+                self.applySummaryOverlayIfNeeded()
+                self.applyHoverCardIfNeeded()
+                self.applyRenderModeIfNeeded()
+                self.applyThresholdDraggingIfNeeded()
+                self.applySelectionModeIfNeeded()
+                self.applyAnnotationDraggingIfNeeded()
+                self.applyLogLevelIfNeeded()
+                self.streamPendingPoints()
 
                 Task {
                     try? await Task.sleep(nanoseconds: 500_000_000)
@@ -165,12 +240,18 @@ class PlotlyCoordinator: NSObject, WKNavigationDelegate, WKScriptMessageHandler
             case "pointClicked":
                 self.handlePointClicked(message.body)
 
+            case "pointsClicked":
+                self.handlePointsClicked(message.body)
+
             case "pointHovered":
                 self.handlePointHovered(message.body)
 
             case "annotationMoved":
                 self.handleAnnotationMoved(message.body)
 
+            case "annotationError":
+                self.handleAnnotationError(message.body)
+
             case "plotDimensions":
                 if let dimensionsString = message.body as? String,
                    let dimensionsData = dimensionsString.data(using: .utf8),
@@ -195,6 +276,42 @@ class PlotlyCoordinator: NSObject, WKNavigationDelegate, WKScriptMessageHandler
             case "plotInfo":
                 self.handlePlotInfo(message.body)
 
+            case "selectionCreated":
+                self.handleSelectionCreated(message.body)
+
+            case "selectionCleared":
+                break
+
+            case "thresholdsChanged":
+                self.handleThresholdsChanged(message.body)
+
+            case "proteinsHighlighted":
+                self.handleProteinsHighlighted(message.body)
+
+            case "viewportChanged":
+                self.handleViewportChanged(message.body)
+
+            case "historyChanged":
+                self.handleHistoryChanged(message.body)
+
+            case "pointFocused":
+                self.handlePointFocused(message.body)
+
+            case "pointsLoaded":
+                self.handlePointsLoaded(message.body)
+
+            case "userShapesChanged":
+                self.handleUserShapesChanged(message.body)
+
+            case "viewSummary":
+                self.handleViewSummary(message.body)
+
+            case "diagnostics":
+                self.handleDiagnostics(message.body)
+
+            case "bridgeResponse":
+                self.bridgeService.handleResponse(message.body)
+
             default:
                 break
             }
@@ -219,6 +336,20 @@ class PlotlyCoordinator: NSObject, WKNavigationDelegate, WKScriptMessageHandler
             editMode: parent.editMode,
             isDarkMode: parent.colorScheme == .dark
         )
+        appliedColorScheme = parent.colorScheme
+        appliedPalette = "default|false"
+        appliedViewMode = "volcano"
+        appliedDensityMode = false
+        appliedSummaryOverlay = false
+        appliedHoverCard = false
+        appliedRenderMode = "auto"
+        appliedThresholdDragging = false
+        appliedLogLevel = "warn"
+        appliedSelectionMode = "new|"
+        appliedAnnotationDragging = false
+        appliedRefreshTrigger = parent.refreshTrigger
+        diagnostics = nil
+        pointStreamGeneration += 1
 
         Task {
             let html: String
@@ -250,6 +381,36 @@ class PlotlyCoordinator: NSObject, WKNavigationDelegate, WKScriptMessageHandler
     }
 
 
+    /// Regenerates the figure from the parent's current data and hands it to
+    /// VolcanoPlot.updatePlot, so zoom, theme and view survive the change
+    func refreshPlotIfNeeded() {
+        guard case .volcano = parent.plotType, parent.refreshTrigger != appliedRefreshTrigger else { return }
+        appliedRefreshTrigger = parent.refreshTrigger
+
+        let context = PlotGenerationContext(
+            data: parent.curtainData,
+            settings: parent.curtainData.settings,
+            selections: parent.selections,
+            searchFilter: parent.searchFilter,
+            editMode: parent.editMode,
+            isDarkMode: parent.colorScheme == .dark
+        )
+        let resetView = parent.resetViewOnRefresh
+        // Batches still queued for the skeleton page would append stale points
+        pointStreamGeneration += 1
+
+        Task {
+            let plotData = await chartGenerator.createVolcanoPlotUpdate(context: context)
+            self.renderedTraceNames = chartGenerator.lastGeneratedTraceNames
+            bridgeService.updatePlot(plotData, resetView: resetView) { result in
+                if case .failure(let error) = result {
+                    print("[PlotlyCoordinator] Plot update failed: \(error)")
+                }
+            }
+        }
+    }
+
+
     private func handlePointClicked(_ messageBody: Any?) {
         Task {
             await handlePointClickedAsync(messageBody)
@@ -372,15 +533,55 @@ class PlotlyCoordinator: NSObject, WKNavigationDelegate, WKScriptMessageHandler
         parent.selectedPoints = [clickedProtein]
     }
 
+    private func handlePointsClicked(_ messageBody: Any?) {
+        guard let jsonString = messageBody as? String,
+              let jsonData = jsonString.data(using: .utf8),
+              let clickData = try? JSONSerialization.jsonObject(with: jsonData) as? [String: Any],
+              let points = clickData["points"] as? [[String: Any]],
+              !points.isEmpty else {
+            return
+        }
+
+        NotificationCenter.default.post(
+            name: NSNotification.Name("VolcanoPointsClicked"),
+            object: nil,
+            userInfo: ["points": points]
+        )
+    }
+
     private func handlePointHovered(_ messageBody: Any?) {
     }
 
     private func handleAnnotationMoved(_ messageBody: Any?) {
+        guard let jsonString = messageBody as? String,
+              let jsonData = jsonString.data(using: .utf8),
+              let movedAnnotations = try? JSONSerialization.jsonObject(with: jsonData) as? [[String: Any]] else {
+            return
+        }
+
+        NotificationCenter.default.post(
+            name: NSNotification.Name("VolcanoAnnotationMoved"),
+            object: nil,
+            userInfo: ["annotations": movedAnnotations]
+        )
+    }
+
+
+    private func handleAnnotationError(_ messageBody: Any?) {
+        guard let jsonString = messageBody as? String,
+              let jsonData = jsonString.data(using: .utf8),
+              let errorData = try? JSONSerialization.jsonObject(with: jsonData) as? [String: Any] else {
+            return
+        }
+
+        print("[PlotlyCoordinator] Annotation \(errorData["code"] as? String ?? "error"): \(errorData["message"] as? String ?? "")")
     }
 
 
     private func handlePlotExported(_ messageBody: Any?) {
-        guard let exportData = messageBody as? [String: Any] else {
+        guard let jsonString = messageBody as? String,
+              let jsonData = jsonString.data(using: .utf8),
+              let exportData = try? JSONSerialization.jsonObject(with: jsonData) as? [String: Any] else {
             return
         }
 
@@ -392,7 +593,9 @@ class PlotlyCoordinator: NSObject, WKNavigationDelegate, WKScriptMessageHandler
     }
 
     private func handlePlotExportError(_ messageBody: Any?) {
-        if let errorData = messageBody as? [String: Any],
+        if let jsonString = messageBody as? String,
+           let jsonData = jsonString.data(using: .utf8),
+           let errorData = try? JSONSerialization.jsonObject(with: jsonData) as? [String: Any],
            let _ = errorData["format"] as? String,
            let errorMessage = errorData["error"] as? String {
             if let exportService = parent.exportService {
@@ -406,6 +609,332 @@ class PlotlyCoordinator: NSObject, WKNavigationDelegate, WKScriptMessageHandler
     private func handlePlotInfo(_ messageBody: Any?) {
     }
 
+    private func handleSelectionCreated(_ messageBody: Any?) {
+        guard let jsonString = messageBody as? String,
+              let jsonData = jsonString.data(using: .utf8),
+              let selection = try? JSONSerialization.jsonObject(with: jsonData) as? [String: Any],
+              let ids = selection["ids"] as? [String] else {
+            return
+        }
+
+        NotificationCenter.default.post(
+            name: NSNotification.Name("VolcanoSelectionCreated"),
+            object: nil,
+            userInfo: [
+                "action": selection["action"] as? String ?? "create",
+                "groupName": selection["groupName"] as? String ?? "",
+                "selectionType": selection["selectionType"] as? String ?? "lasso",
+                "ids": ids
+            ]
+        )
+    }
+
+
+    private func handleThresholdsChanged(_ messageBody: Any?) {
+        guard let jsonString = messageBody as? String,
+              let jsonData = jsonString.data(using: .utf8),
+              let thresholds = try? JSONSerialization.jsonObject(with: jsonData) as? [String: Any],
+              let log2FCCutoff = thresholds["log2FCCutoff"] as? Double,
+              let pCutoff = thresholds["pCutoff"] as? Double else {
+            return
+        }
+
+        NotificationCenter.default.post(
+            name: NSNotification.Name("VolcanoThresholdsChanged"),
+            object: nil,
+            userInfo: [
+                "log2FCCutoff": log2FCCutoff,
+                "pCutoff": pCutoff,
+                "upCount": thresholds["upCount"] as? Int ?? 0,
+                "downCount": thresholds["downCount"] as? Int ?? 0
+            ]
+        )
+    }
+
+
+    private func handleUserShapesChanged(_ messageBody: Any?) {
+        guard let jsonString = messageBody as? String,
+              let jsonData = jsonString.data(using: .utf8),
+              let change = try? JSONSerialization.jsonObject(with: jsonData) as? [String: Any],
+              let shapes = change["shapes"] as? [[String: Any]] else {
+            return
+        }
+
+        NotificationCenter.default.post(
+            name: NSNotification.Name("VolcanoUserShapesChanged"),
+            object: nil,
+            userInfo: [
+                "shapes": shapes,
+                "created": change["created"] as? [String] ?? []
+            ]
+        )
+    }
+
+
+    private func handleProteinsHighlighted(_ messageBody: Any?) {
+        guard let jsonString = messageBody as? String,
+              let jsonData = jsonString.data(using: .utf8),
+              let result = try? JSONSerialization.jsonObject(with: jsonData) as? [String: Any] else {
+            return
+        }
+
+        NotificationCenter.default.post(
+            name: NSNotification.Name("VolcanoProteinsHighlighted"),
+            object: nil,
+            userInfo: [
+                "matched": result["matched"] as? [String] ?? [],
+                "missing": result["missing"] as? [String] ?? []
+            ]
+        )
+    }
+
+
+    private func handleHistoryChanged(_ messageBody: Any?) {
+        guard let jsonString = messageBody as? String,
+              let jsonData = jsonString.data(using: .utf8),
+              let history = try? JSONSerialization.jsonObject(with: jsonData) as? [String: Any] else {
+            return
+        }
+
+        var userInfo: [String: Any] = [
+            "action": history["action"] as? String ?? "record",
+            "canUndo": history["canUndo"] as? Bool ?? false,
+            "canRedo": history["canRedo"] as? Bool ?? false,
+            "undoLabel": history["undoLabel"] as? String ?? "",
+            "redoLabel": history["redoLabel"] as? String ?? ""
+        ]
+        // Only undo and redo carry the full label list
+        if let annotations = history["annotations"] as? [[String: Any]] {
+            userInfo["annotations"] = annotations
+        }
+
+        NotificationCenter.default.post(
+            name: NSNotification.Name("VolcanoHistoryChanged"),
+            object: nil,
+            userInfo: userInfo
+        )
+    }
+
+
+    /// Sends the skeleton page its points one batch at a time, each after the previous one is drawn
+    private func streamPendingPoints() {
+        let batches = chartGenerator.takePendingPointBatches()
+        guard !batches.isEmpty else { return }
+        sendPointBatch(batches, index: 0, generation: pointStreamGeneration)
+    }
+
+    /// A failed batch is resent this many times before the stream gives up
+    private static let pointBatchRetryLimit = 2
+
+    private func sendPointBatch(_ batches: [PlotPointBatch], index: Int, generation: Int, attempt: Int = 0) {
+        guard index < batches.count, generation == pointStreamGeneration else { return }
+
+        let batch = batches[index]
+        bridgeService.appendPoints(traceName: batch.traceName, batch: batch.points) { [weak self] result in
+            guard let self = self else { return }
+            if case .failure(let error) = result {
+                print("[PlotlyCoordinator] Point batch for \(batch.traceName) failed (attempt \(attempt + 1)): \(error)")
+                if attempt < Self.pointBatchRetryLimit {
+                    self.sendPointBatch(batches, index: index, generation: generation, attempt: attempt + 1)
+                } else if generation == self.pointStreamGeneration {
+                    // The page never reports completion for a stream that stopped, so end it here
+                    NotificationCenter.default.post(
+                        name: NSNotification.Name("VolcanoPointsLoaded"),
+                        object: nil,
+                        userInfo: [
+                            "fraction": Double(index) / Double(batches.count),
+                            "done": true,
+                            "error": error.localizedDescription
+                        ]
+                    )
+                }
+                return
+            }
+            self.sendPointBatch(batches, index: index + 1, generation: generation)
+        }
+    }
+
+    private func handleViewSummary(_ messageBody: Any?) {
+        guard let jsonString = messageBody as? String,
+              let jsonData = jsonString.data(using: .utf8),
+              let summary = try? JSONSerialization.jsonObject(with: jsonData) as? [String: Any] else {
+            return
+        }
+
+        NotificationCenter.default.post(
+            name: NSNotification.Name("VolcanoViewSummary"),
+            object: nil,
+            userInfo: summary
+        )
+    }
+
+    /// Page warnings and errors arrive one at a time as "log"; a requested dump arrives as "dump"
+    private func handleDiagnostics(_ messageBody: Any?) {
+        guard let jsonString = messageBody as? String,
+              let jsonData = jsonString.data(using: .utf8),
+              let payload = try? JSONSerialization.jsonObject(with: jsonData) as? [String: Any] else {
+            return
+        }
+
+        switch payload["type"] as? String {
+        case "log":
+            guard let entry = payload["entry"] as? [String: Any] else { return }
+            print("[PlotlyCoordinator] Page \(entry["level"] as? String ?? "log") [\(entry["scope"] as? String ?? "page")] \(entry["message"] as? String ?? "")")
+
+        case "dump":
+            diagnostics = payload
+            NotificationCenter.default.post(
+                name: NSNotification.Name("VolcanoDiagnostics"),
+                object: nil,
+                userInfo: payload
+            )
+
+        default:
+            break
+        }
+    }
+
+    private func handlePointsLoaded(_ messageBody: Any?) {
+        guard let jsonString = messageBody as? String,
+              let jsonData = jsonString.data(using: .utf8),
+              let progress = try? JSONSerialization.jsonObject(with: jsonData) as? [String: Any] else {
+            return
+        }
+
+        NotificationCenter.default.post(
+            name: NSNotification.Name("VolcanoPointsLoaded"),
+            object: nil,
+            userInfo: [
+                "received": progress["received"] as? Int ?? 0,
+                "expected": progress["expected"] as? Int ?? 0,
+                "fraction": progress["fraction"] as? Double ?? 0,
+                "done": progress["done"] as? Bool ?? false
+            ]
+        )
+    }
+
+
+    /// Keyboard/VoiceOver navigation in the page; VoiceOver reads the announcement aloud
+    private func handlePointFocused(_ messageBody: Any?) {
+        guard let jsonString = messageBody as? String,
+              let jsonData = jsonString.data(using: .utf8),
+              let focus = try? JSONSerialization.jsonObject(with: jsonData) as? [String: Any],
+              let announcement = focus["announcement"] as? String else {
+            return
+        }
+
+        UIAccessibility.post(notification: .announcement, argument: announcement)
+    }
+
+
+    func applyColorPaletteIfNeeded() {
+        let palette = "\(parent.colorPalette)|\(parent.groupSymbols)"
+        guard palette != appliedPalette else { return }
+
+        appliedPalette = palette
+        bridgeService.setColorPalette(parent.colorPalette, symbols: parent.groupSymbols)
+    }
+
+
+    func applyDensityModeIfNeeded() {
+        guard case .volcano = parent.plotType, parent.densityMode != appliedDensityMode else { return }
+
+        appliedDensityMode = parent.densityMode
+        bridgeService.setDensityMode(parent.densityMode)
+    }
+
+
+    func applySummaryOverlayIfNeeded() {
+        guard case .volcano = parent.plotType, parent.summaryOverlay != appliedSummaryOverlay else { return }
+
+        appliedSummaryOverlay = parent.summaryOverlay
+        bridgeService.setSummaryOverlay(parent.summaryOverlay)
+    }
+
+
+    func applyHoverCardIfNeeded() {
+        guard case .volcano = parent.plotType, parent.hoverCard != appliedHoverCard else { return }
+
+        appliedHoverCard = parent.hoverCard
+        bridgeService.setHoverCard(parent.hoverCard)
+    }
+
+
+    func applyRenderModeIfNeeded() {
+        guard case .volcano = parent.plotType, parent.renderMode != appliedRenderMode else { return }
+
+        appliedRenderMode = parent.renderMode
+        bridgeService.setRenderMode(parent.renderMode)
+    }
+
+
+    func applyThresholdDraggingIfNeeded() {
+        guard case .volcano = parent.plotType, parent.thresholdDragging != appliedThresholdDragging else { return }
+
+        appliedThresholdDragging = parent.thresholdDragging
+        bridgeService.setThresholdDragging(parent.thresholdDragging)
+    }
+
+
+    func applySelectionModeIfNeeded() {
+        let selectionMode = "\(parent.selectionMode)|\(parent.selectionTarget ?? "")"
+        guard case .volcano = parent.plotType, selectionMode != appliedSelectionMode else { return }
+
+        appliedSelectionMode = selectionMode
+        bridgeService.setSelectionMode(parent.selectionMode, targetGroup: parent.selectionTarget)
+    }
+
+
+    func applyAnnotationDraggingIfNeeded() {
+        guard case .volcano = parent.plotType, parent.annotationDragging != appliedAnnotationDragging else { return }
+
+        appliedAnnotationDragging = parent.annotationDragging
+        bridgeService.setAnnotationEditing(parent.annotationDragging)
+    }
+
+
+    func applyLogLevelIfNeeded() {
+        guard case .volcano = parent.plotType, parent.logLevel != appliedLogLevel else { return }
+
+        appliedLogLevel = parent.logLevel
+        bridgeService.setLogLevel(parent.logLevel)
+    }
+
+
+    func applyViewModeIfNeeded() {
+        guard case .volcano = parent.plotType else { return }
+        let gridAvailable = parent.curtainData.differentialForm.comparisonSelect.count > 1
+        let mode = parent.viewMode == "volcano" && parent.gridMode && gridAvailable ? "grid" : parent.viewMode
+        guard mode != appliedViewMode else { return }
+
+        // The page leaves the grid or the other views by itself when switching
+        appliedViewMode = mode
+        if mode == "grid" {
+            bridgeService.setGridMode(true)
+        } else {
+            bridgeService.setViewMode(mode)
+        }
+    }
+
+
+    private func handleViewportChanged(_ messageBody: Any?) {
+        guard let jsonString = messageBody as? String,
+              let jsonData = jsonString.data(using: .utf8),
+              let viewport = try? JSONSerialization.jsonObject(with: jsonData) as? [String: Any] else {
+            return
+        }
+
+        NotificationCenter.default.post(
+            name: NSNotification.Name("VolcanoViewportChanged"),
+            object: nil,
+            userInfo: [
+                "xRange": viewport["xRange"] as? [Double] ?? [],
+                "yRange": viewport["yRange"] as? [Double] ?? [],
+                "isDefault": viewport["isDefault"] as? Bool ?? true
+            ]
+        )
+    }
+
 
     private func generateNotImplementedHtml(_ plotType: String) -> String {
         do {
@@ -13,6 +13,20 @@ struct PlotData {
     let traces: [PlotTrace]
     let layout: PlotLayout
     let config: PlotConfig
+    /// Set when the traces are an empty skeleton and the points follow through appendPoints
+    var stream: PlotPointStream? = nil
+}
+
+/// Point totals the page uses to report streaming progress
+struct PlotPointStream {
+    let totalPoints: Int
+    let traceTotals: [String: Int]
+}
+
+/// One appendPoints call: a slice of a trace's points, keyed like the trace arrays
+struct PlotPointBatch {
+    let traceName: String
+    let points: [String: Any]
 }
 
 struct PlotTrace {
@@ -213,6 +227,14 @@ struct PlotShape {
     let yref: String?
     let line: PlotLine
     let isYAxisLine: Bool?
+    var name: String? = nil
+    var path: String? = nil
+    var fillcolor: String? = nil
+    var opacity: Double? = nil
+    var layer: String? = nil
+    /// Plotly label object (text, font, textposition, ...), passed through as stored
+    var label: [String: Any]? = nil
+    var editable: Bool? = nil
 }
 
 struct PlotAnnotation {
@@ -653,17 +675,20 @@ struct PlotGenerationContext {
 // MARK: - Extensions for JSON Serialization
 
 extension PlotData {
-    func toJSON() throws -> String {
-        let encoder = JSONEncoder()
-        encoder.outputFormatting = .prettyPrinted
-        
-        let dict: [String: Any] = [
+    func toDictionary() -> [String: Any] {
+        var dict: [String: Any] = [
             "data": traces.map { $0.toDictionary() },
             "layout": layout.toDictionary(),
             "config": config.toDictionary()
         ]
-        
-        let data = try JSONSerialization.data(withJSONObject: dict)
+        if let stream = stream {
+            dict["stream"] = ["totalPoints": stream.totalPoints, "traces": stream.traceTotals]
+        }
+        return dict
+    }
+
+    func toJSON() throws -> String {
+        let data = try JSONSerialization.data(withJSONObject: toDictionary())
         return String(data: data, encoding: .utf8) ?? "{}"
     }
 }
@@ -998,6 +1023,13 @@ extension PlotShape {
         if let xref = xref { dict["xref"] = xref }
         if let yref = yref { dict["yref"] = yref }
         if let isYAxisLine = isYAxisLine { dict["isYAxisLine"] = isYAxisLine }
+        if let name = name { dict["name"] = name }
+        if let path = path { dict["path"] = path }
+        if let fillcolor = fillcolor { dict["fillcolor"] = fillcolor }
+        if let opacity = opacity { dict["opacity"] = opacity }
+        if let layer = layer { dict["layer"] = layer }
+        if let label = label { dict["label"] = label }
+        if let editable = editable { dict["editable"] = editable }
 
         return dict
     }
@@ -1006,6 +1038,8 @@ extension PlotShape {
 extension PlotAnnotation {
     func toDictionary() -> [String: Any] {
         var dict: [String: Any] = [
+            "name": id,
+            "title": title,
             "text": text,
             "x": x,
             "y": y,
@@ -63,6 +63,8 @@ struct PlotRenderViewState {
     var plotId: UUID = UUID()
     var refreshTrigger: Int = 0
     var coordinateRefreshTrigger: Int = 0
+    /// Whether the pending refresh drops the user's zoom instead of keeping it
+    var resetViewOnRefresh: Bool = false
 
     // MARK: - State Transitions
 
@@ -71,9 +73,10 @@ struct PlotRenderViewState {
         plotId = UUID()
     }
 
-    /// Increment the refresh trigger to regenerate the plot
-    mutating func triggerRefresh() {
+    /// Increment the refresh trigger to regenerate the plot in place
+    mutating func triggerRefresh(resetView: Bool = false) {
         refreshTrigger += 1
+        resetViewOnRefresh = resetView
     }
 
     /// Increment the coordinate refresh trigger to recalculate coordinates
@@ -86,6 +89,7 @@ struct PlotRenderViewState {
         plotId = UUID()
         refreshTrigger = 0
         coordinateRefreshTrigger = 0
+        resetViewOnRefresh = false
     }
 }
 
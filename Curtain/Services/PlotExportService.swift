@@ -54,6 +54,26 @@ struct PlotExportOptions {
             }
         }
     }
+    
+    /// Journal column layouts; raw values match EXPORT_PRESETS in volcano-plot.js
+    enum JournalPreset: String, CaseIterable {
+        case singleColumn = "single-column"
+        case oneAndHalfColumn = "one-and-half-column"
+        case doubleColumn = "double-column"
+        
+        var displayName: String {
+            switch self {
+            case .singleColumn: return "Single Column"
+            case .oneAndHalfColumn: return "1.5 Column"
+            case .doubleColumn: return "Double Column"
+            }
+        }
+    }
+    
+    enum Background: String, CaseIterable {
+        case white = "white"
+        case transparent = "transparent"
+    }
 }
 
 struct PlotExportResult {
@@ -12,12 +12,17 @@ import Foundation
 @MainActor
 class PlotlyBridgeService {
 
+    /// Must match PROTOCOL_VERSION in plot-bridge.js
+    static let protocolVersion = 1
 
     private weak var webView: WKWebView?
     private let bridgeId = UUID().uuidString
+    private let defaultTarget: String
+    private var pendingRequests: [String: (Result<Any?, Error>) -> Void] = [:]
 
 
-    init() {
+    init(target: String = "VolcanoPlot") {
+        self.defaultTarget = target
     }
 
 
@@ -49,70 +54,273 @@ class PlotlyBridgeService {
     }
 
 
-    func updateAnnotationPosition(title: String, ax: Double, ay: Double) {
-        guard let webView = webView else {
+    /// Send a command envelope to PlotBridge.receive; the completion gets the single reply
+    func send(
+        _ command: String,
+        args: [Any] = [],
+        target: String? = nil,
+        completion: ((Result<Any?, Error>) -> Void)? = nil
+    ) {
+        let requestId = UUID().uuidString
+        let envelope: [String: Any] = [
+            "v": Self.protocolVersion,
+            "id": requestId,
+            "target": target ?? defaultTarget,
+            "command": command,
+            "args": args
+        ]
+
+        guard JSONSerialization.isValidJSONObject(envelope),
+              let envelopeData = try? JSONSerialization.data(withJSONObject: envelope),
+              let envelopeJSON = String(data: envelopeData, encoding: .utf8) else {
+            completion?(.failure(PlotlyBridgeError.invalidArguments(command)))
             return
         }
 
+        if let completion = completion {
+            pendingRequests[requestId] = completion
+        }
+
         let jsCode = """
-            if (window.VolcanoPlot && window.VolcanoPlot.updateAnnotationPosition) {
-                window.VolcanoPlot.updateAnnotationPosition('\(title)', \(ax), \(ay));
+            if (!window.PlotBridge) {
+                throw new Error('PlotBridge is not loaded');
             }
+            window.PlotBridge.receive(\(envelopeJSON));
         """
 
-        webView.evaluateJavaScript(jsCode, completionHandler: nil)
+        evaluateJavaScript(jsCode) { [weak self] result in
+            if case .failure(let error) = result,
+               let pending = self?.pendingRequests.removeValue(forKey: requestId) {
+                pending(.failure(error))
+            }
+        }
     }
 
-
-    func requestPlotDimensions() {
-        guard let webView = webView else {
+    /// Route a bridgeResponse message to the request that sent it
+    func handleResponse(_ messageBody: Any?) {
+        guard let jsonString = messageBody as? String,
+              let jsonData = jsonString.data(using: .utf8),
+              let response = try? JSONSerialization.jsonObject(with: jsonData) as? [String: Any] else {
             return
         }
 
-        let jsCode = """
-            if (window.VolcanoPlot && window.VolcanoPlot.sendPlotDimensions) {
-                window.VolcanoPlot.sendPlotDimensions();
-
-                if (window.VolcanoPlot.convertAndSendCoordinates) {
-                    const plotElement = document.getElementById('plot');
-                    if (plotElement && plotElement.layout && plotElement.layout.annotations && plotElement.layout.annotations.length > 0) {
-                        window.VolcanoPlot.convertAndSendCoordinates(plotElement.layout.annotations);
-                    }
-                }
+        guard let requestId = response["id"] as? String,
+              let pending = pendingRequests.removeValue(forKey: requestId) else {
+            if let error = response["error"] as? [String: Any] {
+                print("[PlotlyBridgeService] Unmatched bridge error: \(error["code"] as? String ?? "unknown") \(error["message"] as? String ?? "")")
             }
-        """
+            return
+        }
+
+        if response["ok"] as? Bool == true {
+            pending(.success(response["result"] is NSNull ? nil : response["result"]))
+        } else {
+            let error = response["error"] as? [String: Any] ?? [:]
+            pending(.failure(PlotlyBridgeError.commandFailed(
+                code: error["code"] as? String ?? "unknown",
+                message: error["message"] as? String ?? ""
+            )))
+        }
+    }
 
-        webView.evaluateJavaScript(jsCode, completionHandler: nil)
+
+    func updateAnnotationPosition(id: String, ax: Double, ay: Double) {
+        send("updateAnnotationPosition", args: [id, ax, ay])
     }
 
 
-    func exportAsPNG(filename: String, width: Int, height: Int) {
-        guard let webView = webView else {
-            return
+    func autoLayoutAnnotations(rerunOnZoom: Bool = false) {
+        send("autoLayoutAnnotations")
+        send("setAutoLayoutOnZoom", args: [rerunOnZoom])
+    }
+
+
+    func setAnnotationEditing(_ enabled: Bool) {
+        send("setAnnotationEditing", args: [enabled])
+    }
+
+
+    func highlightProteins(_ ids: [String], zoom: String = "none") {
+        send("highlightProteins", args: [ids, ["zoom": zoom]])
+    }
+
+
+    func clearHighlight() {
+        send("clearHighlight")
+    }
+
+
+    /// plotData is the figure dictionary (data, layout, config); the user's zoom is kept unless resetView is set
+    func updatePlot(_ plotData: [String: Any], resetView: Bool = false, completion: ((Result<Any?, Error>) -> Void)? = nil) {
+        send("updatePlot", args: [plotData, ["resetView": resetView]], completion: completion)
+    }
+
+
+    func resetView() {
+        send("resetView")
+    }
+
+
+    func undo() {
+        send("undo")
+    }
+
+
+    func redo() {
+        send("redo")
+    }
+
+
+    func setThresholdDragging(_ enabled: Bool) {
+        send("setThresholdDragging", args: [enabled])
+    }
+
+
+    func setRenderMode(_ mode: String) {
+        send("setRenderMode", args: [mode])
+    }
+
+
+    /// mode is "zoom", "pan", "select", "lasso" or one of the shape modes "drawrect", "drawclosedpath", "drawline"
+    func setDragMode(_ mode: String) {
+        send("setDragMode", args: [mode])
+    }
+
+
+    func setUserShapeLabel(name: String, text: String) {
+        send("setUserShapeLabel", args: [name, text])
+    }
+
+
+    func removeUserShape(name: String) {
+        send("removeUserShape", args: [name])
+    }
+
+
+    func clearUserShapes() {
+        send("clearUserShapes")
+    }
+
+
+    func setSelectionMode(_ combineMode: String, targetGroup: String?) {
+        send("setSelectionMode", args: [combineMode, targetGroup ?? NSNull()])
+    }
+
+
+    /// mode is "light", "dark" or "auto"; palette keys: background, text, grid, zeroline, threshold
+    func setTheme(mode: String, palette: [String: String]? = nil, completion: ((Result<Any?, Error>) -> Void)? = nil) {
+        var options: [String: Any] = ["mode": mode]
+        if let palette = palette {
+            options["palette"] = palette
         }
+        send("setTheme", args: [options], completion: completion)
+    }
 
-        let jsCode = "window.CurtainVisualization.exportAsPNG('\(filename)', \(width), \(height));"
 
-        webView.evaluateJavaScript(jsCode, completionHandler: nil)
+    /// name is "default", "okabe-ito" or "high-contrast"; symbols gives each group its own marker shape
+    func setColorPalette(_ name: String, symbols: Bool) {
+        send("setColorPalette", args: [name, ["symbols": symbols]])
     }
 
-    func exportAsSVG(filename: String, width: Int, height: Int) {
-        guard let webView = webView else {
-            return
+
+    /// One volcano panel per comparison; columns of 0 lets the page pick a near-square grid
+    func setGridMode(_ enabled: Bool, columns: Int = 0) {
+        send("setGridMode", args: [enabled, ["columns": columns]])
+    }
+
+
+    /// mode is "volcano", "rank" or "histogram"; the rank and histogram views are drawn from the loaded volcano data
+    func setViewMode(_ mode: String) {
+        send("setViewMode", args: [mode])
+    }
+
+
+    /// Draws non-significant, unselected, unlabelled points as a density contour instead of markers
+    func setDensityMode(_ enabled: Bool) {
+        send("setDensityMode", args: [enabled])
+    }
+
+
+    /// Shows the visible-region counts on the plot; viewSummary messages are posted either way
+    func setSummaryOverlay(_ enabled: Bool) {
+        send("setSummaryOverlay", args: [enabled])
+    }
+
+
+    /// fields picks and orders the card rows (gene, id, site, comparison, log2FC, pValue, selections); nil keeps them all
+    func setHoverCard(_ enabled: Bool, fields: [String]? = nil) {
+        var options: [String: Any] = [:]
+        if let fields = fields {
+            options["fields"] = fields
         }
+        send("setHoverCard", args: [enabled, options])
+    }
 
-        let jsCode = "window.CurtainVisualization.exportAsSVG('\(filename)', \(width), \(height));"
 
-        webView.evaluateJavaScript(jsCode, completionHandler: nil)
+    /// level is "debug", "info", "warn", "error" or "off"; the page starts at "warn"
+    func setLogLevel(_ level: String) {
+        send("setLogLevel", args: [level])
     }
 
-    func getCurrentPlotInfo() {
-        guard let webView = webView else {
-            return
+
+    /// Recent log events, plot dimensions, annotation map and Plotly version; also posted on the diagnostics handler
+    func requestDiagnostics(limit: Int? = nil, completion: ((Result<Any?, Error>) -> Void)? = nil) {
+        var options: [String: Any] = [:]
+        if let limit = limit {
+            options["limit"] = limit
         }
+        send("requestDiagnostics", args: [options], completion: completion)
+    }
+
+
+    func appendPoints(traceName: String, batch: [String: Any], completion: ((Result<Any?, Error>) -> Void)? = nil) {
+        send("appendPoints", args: [traceName, batch], completion: completion)
+    }
+
+
+    func focusPoint(step: Int) {
+        send("focusPoint", args: [step])
+    }
+
+
+    func focusGroup(step: Int) {
+        send("focusGroup", args: [step])
+    }
+
+
+    func activateFocusedPoint() {
+        send("activateFocusedPoint")
+    }
+
+
+    func requestPlotDimensions(completion: ((Result<Any?, Error>) -> Void)? = nil) {
+        send("requestPlotDimensions", completion: completion)
+    }
+
+
+    /// Options are passed through to VolcanoPlot.exportPlot (width, height, scale, dpi, preset, background, fontScale)
+    func exportPlot(
+        format: String,
+        filename: String,
+        options: [String: Any] = [:],
+        completion: ((Result<Any?, Error>) -> Void)? = nil
+    ) {
+        var exportOptions = options
+        exportOptions["format"] = format
+        exportOptions["filename"] = filename
+        send("exportPlot", args: [exportOptions], completion: completion)
+    }
+
+    func exportAsPNG(filename: String, width: Int, height: Int, options: [String: Any] = [:]) {
+        send("exportAsPNG", args: [filename, width, height, options])
+    }
+
+    func exportAsSVG(filename: String, width: Int, height: Int, options: [String: Any] = [:]) {
+        send("exportAsSVG", args: [filename, width, height, options])
+    }
 
-        let jsCode = "window.CurtainVisualization.getCurrentPlotInfo();"
-        webView.evaluateJavaScript(jsCode, completionHandler: nil)
+    func getCurrentPlotInfo(completion: ((Result<Any?, Error>) -> Void)? = nil) {
+        send("getCurrentPlotInfo", target: "CurtainVisualization", completion: completion)
     }
 }
 
@@ -120,4 +328,6 @@ class PlotlyBridgeService {
 enum PlotlyBridgeError: Error {
     case webViewNotAvailable
     case javascriptExecutionFailed(String)
+    case invalidArguments(String)
+    case commandFailed(code: String, message: String)
 }
@@ -8,17 +8,59 @@ class PlotlyChartGenerator {
 
     private(set) var lastGeneratedTraceNames: [String] = []
     private(set) var lastGeneratedTraces: [PlotTrace] = []
+    /// Points held back from the last skeleton page, sent once it reports ready
+    private(set) var pendingPointBatches: [PlotPointBatch] = []
+
+    /// Above this many points the page is loaded as a skeleton and filled in batches
+    static let streamingPointThreshold = 20_000
+    static let streamingBatchSize = 5_000
+    /// Stored shape types the volcano page can draw and edit; others are kept in the settings untouched
+    static let userShapeTypes: Set<String> = ["rect", "path", "line", "circle"]
+
+    /// The page only reports the shapes it can draw; stored shapes of any other type are carried over, not dropped
+    static func mergeUserShapes(_ reported: [[String: Any]], into stored: [AnyCodable]) -> [AnyCodable] {
+        let undrawn = stored.filter { shape in
+            guard let type = (shape.value as? [String: Any])?["type"] as? String else { return true }
+            return !userShapeTypes.contains(type)
+        }
+        return undrawn + reported.map { AnyCodable($0) }
+    }
     /// Accumulated colorMap across renders. Significance group colors assigned on
     /// the first render are preserved here so they don't shift when new user
     /// selections are added. Static so it survives PlotlyWebView .id() recreation.
     private static var persistedColorMap: [String: String] = [:]
 
+    /// Keeps the carried-over significance colours under the group names a cutoff change produces
+    static func renameSignificanceColors(
+        from old: (pCutoff: Double, log2FCCutoff: Double),
+        to new: (pCutoff: Double, log2FCCutoff: Double)
+    ) {
+        persistedColorMap = VolcanoPlotDataService.renameSignificanceGroups(in: persistedColorMap, from: old, to: new)
+    }
+
     init(curtainDataService: CurtainDataService? = nil) {
         self.curtainDataService = curtainDataService
         self.volcanoPlotDataService = VolcanoPlotDataService()
     }
 
     func createVolcanoPlotHtml(context: PlotGenerationContext) async -> String {
+        let plotData = prepareStreaming(await createVolcanoPlotData(context: context))
+
+        do {
+            let plotJSON = try plotData.toJSON()
+            return generateVolcanoHtmlTemplate(plotJSON: plotJSON, editMode: context.editMode, isDarkMode: context.isDarkMode)
+        } catch {
+            return generateErrorHtml("Failed to generate volcano plot data")
+        }
+    }
+
+    /// Figure for VolcanoPlot.updatePlot on an already loaded page; always complete, never streamed
+    func createVolcanoPlotUpdate(context: PlotGenerationContext) async -> [String: Any] {
+        pendingPointBatches = []
+        return await createVolcanoPlotData(context: context).toDictionary()
+    }
+
+    private func createVolcanoPlotData(context: PlotGenerationContext) async -> PlotData {
         let volcanoResult: VolcanoProcessResult
 
         // Merge persisted colorMap into settings so significance group colors from
@@ -63,16 +105,78 @@ class PlotlyChartGenerator {
             Self.persistedColorMap[key] = value
         }
 
-        let plotData = createCompatiblePlotData(volcanoResult, context: context)
+        return createCompatiblePlotData(volcanoResult, context: context)
+    }
+    
+    /// Above the streaming threshold the points are held back as batches and an empty skeleton is returned
+    func prepareStreaming(_ plotData: PlotData) -> PlotData {
+        pendingPointBatches = []
+
+        let totalPoints = plotData.traces.reduce(0) { $0 + $1.y.count }
+        guard totalPoints > Self.streamingPointThreshold else { return plotData }
+
+        pendingPointBatches = makePointBatches(plotData.traces)
+        var traceTotals: [String: Int] = [:]
+        plotData.traces.forEach { traceTotals[$0.name] = $0.y.count }
+        return PlotData(
+            traces: plotData.traces.map { makeSkeletonTrace($0) },
+            layout: plotData.layout,
+            config: plotData.config,
+            stream: PlotPointStream(totalPoints: totalPoints, traceTotals: traceTotals)
+        )
+    }
 
-        do {
-            let plotJSON = try plotData.toJSON()
-            return generateVolcanoHtmlTemplate(plotJSON: plotJSON, editMode: context.editMode, isDarkMode: context.isDarkMode)
-        } catch {
-            return generateErrorHtml("Failed to generate volcano plot data")
+    /// Hands over the held-back batches once; a reloaded page gets a fresh set
+    func takePendingPointBatches() -> [PlotPointBatch] {
+        let batches = pendingPointBatches
+        pendingPointBatches = []
+        return batches
+    }
+
+    private func makeSkeletonTrace(_ trace: PlotTrace) -> PlotTrace {
+        return PlotTrace(
+            x: [Double](),
+            y: [],
+            mode: trace.mode,
+            type: trace.type,
+            name: trace.name,
+            marker: trace.marker,
+            text: [],
+            hovertemplate: trace.hovertemplate,
+            customdata: []
+        )
+    }
+
+    /// Round-robin over the traces, top-most first, so small selection groups are
+    /// complete after the first round and every group fills in evenly
+    /// One batch per trace per round, topmost trace first, so every group fills in together
+    func makePointBatches(_ traces: [PlotTrace]) -> [PlotPointBatch] {
+        let batchSize = Self.streamingBatchSize
+        let rounds = traces.map { ($0.y.count + batchSize - 1) / batchSize }.max() ?? 0
+        var batches: [PlotPointBatch] = []
+
+        for round in 0..<rounds {
+            for trace in traces.reversed() {
+                let start = round * batchSize
+                guard start < trace.y.count else { continue }
+                let range = start..<min(start + batchSize, trace.y.count)
+
+                var points: [String: Any] = [
+                    "x": Array((trace.x as? [Double] ?? [])[range]),
+                    "y": Array(trace.y[range])
+                ]
+                if let text = trace.text {
+                    points["text"] = Array(text[range])
+                }
+                if let customdata = trace.customdata {
+                    points["customdata"] = Array(customdata[range])
+                }
+                batches.append(PlotPointBatch(traceName: trace.name, points: points))
+            }
         }
+        return batches
     }
-    
+
     private func convertToAppData(_ data: CurtainData) -> AppData {
         let appData = AppData()
         appData.dataMap = data.selectionsMap
@@ -334,6 +438,7 @@ class PlotlyChartGenerator {
             )
             shapes.append(yAxisShape)
         }
+        shapes.append(contentsOf: convertAdditionalShapes(settings.volcanoAdditionalShapes, textColor: textColor))
         
         var annotations = convertTextAnnotations(settings.textAnnotation, isDarkMode: context.isDarkMode)
         let conditionLabelAnnotations = createVolcanoConditionLabelAnnotations(settings, isDarkMode: context.isDarkMode)
@@ -377,12 +482,55 @@ class PlotlyChartGenerator {
         let pValueThreshold = -log10(settings.pCutoff)
         
         return [
-            PlotShape(type: "line", x0: -settings.log2FCCutoff, x1: -settings.log2FCCutoff, y0: 0, y1: maxY, xref: "x", yref: "y", line: PlotLine(color: "rgb(21,4,4)", width: 1, dash: "dash"), isYAxisLine: nil),
-            PlotShape(type: "line", x0: settings.log2FCCutoff, x1: settings.log2FCCutoff, y0: 0, y1: maxY, xref: "x", yref: "y", line: PlotLine(color: "rgb(21,4,4)", width: 1, dash: "dash"), isYAxisLine: nil),
-            PlotShape(type: "line", x0: minX, x1: maxX, y0: pValueThreshold, y1: pValueThreshold, xref: "x", yref: "y", line: PlotLine(color: "rgb(21,4,4)", width: 1, dash: "dash"), isYAxisLine: nil)
+            PlotShape(type: "line", x0: -settings.log2FCCutoff, x1: -settings.log2FCCutoff, y0: 0, y1: maxY, xref: "x", yref: "y", line: PlotLine(color: "rgb(21,4,4)", width: 1, dash: "dash"), isYAxisLine: nil, name: "threshold-fc-negative"),
+            PlotShape(type: "line", x0: settings.log2FCCutoff, x1: settings.log2FCCutoff, y0: 0, y1: maxY, xref: "x", yref: "y", line: PlotLine(color: "rgb(21,4,4)", width: 1, dash: "dash"), isYAxisLine: nil, name: "threshold-fc-positive"),
+            PlotShape(type: "line", x0: minX, x1: maxX, y0: pValueThreshold, y1: pValueThreshold, xref: "x", yref: "y", line: PlotLine(color: "rgb(21,4,4)", width: 1, dash: "dash"), isYAxisLine: nil, name: "threshold-p")
         ]
     }
     
+    /// Regions and notes drawn on the volcano page, stored as the Plotly shapes it reported.
+    /// Names keep the page's user-shape- prefix so they stay apart from the threshold lines.
+    func convertAdditionalShapes(_ additionalShapes: [AnyCodable], textColor: String) -> [PlotShape] {
+        let shapeObjects = additionalShapes.compactMap { $0.value as? [String: Any] }
+        let usedNames = Set(shapeObjects.compactMap { $0["name"] as? String })
+        var nextNumber = 1
+
+        return shapeObjects.compactMap { shape in
+            guard let type = shape["type"] as? String, Self.userShapeTypes.contains(type) else { return nil }
+
+            var name = shape["name"] as? String ?? ""
+            if !name.hasPrefix("user-shape-") {
+                while usedNames.contains("user-shape-\(nextNumber)") { nextNumber += 1 }
+                name = "user-shape-\(nextNumber)"
+                nextNumber += 1
+            }
+
+            let line = shape["line"] as? [String: Any] ?? [:]
+            return PlotShape(
+                type: type,
+                x0: (shape["x0"] as? NSNumber)?.doubleValue,
+                x1: (shape["x1"] as? NSNumber)?.doubleValue,
+                y0: (shape["y0"] as? NSNumber)?.doubleValue,
+                y1: (shape["y1"] as? NSNumber)?.doubleValue,
+                xref: shape["xref"] as? String ?? "x",
+                yref: shape["yref"] as? String ?? "y",
+                line: PlotLine(
+                    color: line["color"] as? String ?? textColor,
+                    width: (line["width"] as? NSNumber)?.doubleValue ?? 2,
+                    dash: line["dash"] as? String
+                ),
+                isYAxisLine: nil,
+                name: name,
+                path: shape["path"] as? String,
+                fillcolor: shape["fillcolor"] as? String,
+                opacity: (shape["opacity"] as? NSNumber)?.doubleValue,
+                layer: shape["layer"] as? String,
+                label: shape["label"] as? [String: Any],
+                editable: true
+            )
+        }
+    }
+
     private struct DataPoint {
         let x: Double
         let y: Double
@@ -478,13 +626,28 @@ class PlotlyChartGenerator {
             var volcanoJS = try WebTemplateLoader.shared.loadJavaScript(named: "volcano-plot")
             volcanoJS = volcanoJS.replacingOccurrences(of: "{{PLOT_DATA}}", with: plotJSON)
             volcanoJS = volcanoJS.replacingOccurrences(of: "{{EDIT_MODE}}", with: editMode ? "true" : "false")
-            let substitutions = ["BACKGROUND_COLOR": backgroundColor, "TEXT_COLOR": textColor, "PLOTLY_JS": getInlinePlotlyJS(), "VOLCANO_PLOT_JS": volcanoJS]
+            let bridgeJS = try WebTemplateLoader.shared.loadJavaScript(named: "plot-bridge")
+            let loggerJS = try WebTemplateLoader.shared.loadJavaScript(named: "plot-logger")
+            let themeJS = try WebTemplateLoader.shared.loadJavaScript(named: "plot-theme")
+            let substitutions = ["BACKGROUND_COLOR": backgroundColor, "TEXT_COLOR": textColor, "PLOTLY_JS": getInlinePlotlyJS(), "PLOT_BRIDGE_JS": bridgeJS, "PLOT_LOGGER_JS": loggerJS, "PLOT_THEME_JS": themeJS, "VOLCANO_PLOT_JS": volcanoJS]
             return WebTemplateLoader.shared.render(template: htmlTemplate, substitutions: substitutions)
         } catch {
             return generateErrorHtml("Failed to load volcano plot template: \(error.localizedDescription)")
         }
     }
     
+    /// Page hosting `CurtainVisualization`, which renders curtains from raw rows in the web layer alone
+    func createVisualizationHtml() -> String {
+        do {
+            let htmlTemplate = try WebTemplateLoader.shared.loadHTMLTemplate(named: "plotly_template")
+            let bridgeJS = try WebTemplateLoader.shared.loadJavaScript(named: "plot-bridge")
+            let substitutions = ["PLOTLY_JS": getInlinePlotlyJS(), "PLOT_BRIDGE_JS": bridgeJS]
+            return WebTemplateLoader.shared.render(template: htmlTemplate, substitutions: substitutions)
+        } catch {
+            return generateErrorHtml("Failed to load visualization template: \(error.localizedDescription)")
+        }
+    }
+
     private func getInlinePlotlyJS() -> String {
         if let plotlyURL = Bundle.main.url(forResource: "plotly.min", withExtension: "js"), let plotlyContent = try? String(contentsOf: plotlyURL, encoding: .utf8) {
             return plotlyContent
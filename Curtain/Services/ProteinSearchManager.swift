@@ -228,6 +228,58 @@ class ProteinSearchManager: ObservableObject {
         }
     }
     
+    /// Adds or removes proteins from an existing selection group by name.
+    /// Edits selectionsMap directly because saveSearchListsToCurtainData only ever adds memberships.
+    func updateSearchListProteins(
+        selectionName: String,
+        adding: Set<String>,
+        removing: Set<String>,
+        curtainData: inout CurtainData
+    ) {
+        var selectionsMap: [String: Any] = curtainData.selectionsMap ?? [:]
+
+        for proteinId in adding {
+            var selections = selectionsMap[proteinId] as? [String: Bool] ?? [:]
+            selections[selectionName] = true
+            selectionsMap[proteinId] = selections
+        }
+
+        for proteinId in removing {
+            guard var selections = selectionsMap[proteinId] as? [String: Bool] else { continue }
+            selections.removeValue(forKey: selectionName)
+            if selections.isEmpty {
+                selectionsMap.removeValue(forKey: proteinId)
+            } else {
+                selectionsMap[proteinId] = selections
+            }
+        }
+
+        if let index = searchSession.searchLists.firstIndex(where: { $0.name == selectionName }) {
+            let currentList = searchSession.searchLists[index]
+            searchSession.searchLists[index] = SearchList(
+                id: currentList.id,
+                name: currentList.name,
+                proteinIds: currentList.proteinIds.union(adding).subtracting(removing),
+                searchTerms: currentList.searchTerms,
+                searchType: currentList.searchType,
+                color: currentList.color,
+                description: currentList.description,
+                timestamp: currentList.timestamp
+            )
+        }
+
+        var selectOperationNames = curtainData.selectionsName ?? []
+        if !selectOperationNames.contains(selectionName) {
+            selectOperationNames.append(selectionName)
+        }
+
+        updateCurtainDataSelections(
+            curtainData: &curtainData,
+            selectionsMap: selectionsMap,
+            selectOperationNames: selectOperationNames
+        )
+    }
+
     func toggleSearchListFilter(id: String, curtainData: inout CurtainData) {
         if Thread.isMainThread {
             if searchSession.activeFilters.contains(id) {
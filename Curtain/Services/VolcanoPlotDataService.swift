@@ -518,6 +518,38 @@ class VolcanoPlotDataService {
         return currentPosition
     }
     
+    /// Significance group names embed the cutoffs, so new cutoffs mean new names.
+    /// Moves each group's colour to the name it gets under the new cutoffs; other keys are left as they are.
+    static func renameSignificanceGroups(
+        in colorMap: [String: String],
+        from old: (pCutoff: Double, log2FCCutoff: Double),
+        to new: (pCutoff: Double, log2FCCutoff: Double)
+    ) -> [String: String] {
+        guard old != new else { return colorMap }
+
+        var renamed: [String: String] = [:]
+        var moved: [String: String] = [:]
+        for (key, color) in colorMap {
+            // Same layout as getSignificantGroup: "P-value <= p;FC > fc", then " (comparison)" unless PTM
+            let parts = key.components(separatedBy: ";")
+            guard parts.count == 2,
+                  let pPrefix = ["P-value > ", "P-value <= "].first(where: { parts[0] == "\($0)\(old.pCutoff)" }),
+                  let fcPrefix = ["FC > ", "FC <= "].first(where: { parts[1].hasPrefix("\($0)\(old.log2FCCutoff)") }) else {
+                renamed[key] = color
+                continue
+            }
+            let suffix = parts[1].dropFirst("\(fcPrefix)\(old.log2FCCutoff)".count)
+            guard suffix.isEmpty || suffix.hasPrefix(" (") else {
+                renamed[key] = color
+                continue
+            }
+            moved["\(pPrefix)\(new.pCutoff);\(fcPrefix)\(new.log2FCCutoff)\(suffix)"] = color
+        }
+        // The colours on screen win over stale entries that already had the new names
+        renamed.merge(moved) { _, movedColor in movedColor }
+        return renamed
+    }
+
     private func getSignificantGroup(fcValue: Double, sigValue: Double, settings: CurtainSettings, comparison: String, isPTM: Bool = false) -> (String, String) {
         let ylog = -log10(settings.pCutoff)
         var groups: [String] = []
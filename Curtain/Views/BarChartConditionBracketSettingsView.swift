@@ -229,7 +229,11 @@ struct BarChartConditionBracketSettingsView: View {
                         dismiss()
 
                         // Trigger plot refresh using correct notification name
-                        NotificationCenter.default.post(name: NSNotification.Name("ProteinChartRefresh"), object: nil)
+                        NotificationCenter.default.post(
+                            name: NSNotification.Name("ProteinChartRefresh"),
+                            object: nil,
+                            userInfo: ["reason": "barChartBracketUpdate"]
+                        )
                     }
                     .fixedSize()
                     .accessibilityIdentifier("bracketSaveButton")
@@ -793,6 +793,7 @@ struct VolcanoPlotTab: View {
                                 annotationEditMode.toggle()
                             }
                         }
+                        .accessibilityIdentifier("annotationEditModeButton")
                     }
                     .font(.body)
                     .foregroundColor(.accentColor)
@@ -913,6 +914,7 @@ struct VolcanoPlotTab: View {
                                             .shadow(radius: 4)
                                     }
                                     .buttonStyle(.plain)
+                                    .accessibilityIdentifier("annotationEditModeButton")
                                 }
 
                                 // Toggle button to show/hide FABs
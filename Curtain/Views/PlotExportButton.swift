@@ -68,6 +68,12 @@ struct PlotExportButton: View {
                     .default(Text("SVG - Publication")) {
                         exportPlot(format: .svg, quality: .publication)
                     },
+                    .default(Text("PNG - Journal Single Column")) {
+                        plotlyWebView?.exportForJournal(format: .png, preset: .singleColumn)
+                    },
+                    .default(Text("SVG - Journal Double Column")) {
+                        plotlyWebView?.exportForJournal(format: .svg, preset: .doubleColumn)
+                    },
                     .default(Text("Custom Settings...")) {
                         showingExportOptions = false
                         DispatchQueue.main.asyncAfter(deadline: .now() + 0.5) {
@@ -143,6 +149,27 @@ struct PlotExportButton: View {
         
         Divider()
         
+        Menu {
+            ForEach(PlotExportOptions.JournalPreset.allCases, id: \.self) { preset in
+                Button("PNG - \(preset.displayName)") {
+                    plotlyWebView?.exportForJournal(format: .png, preset: preset)
+                }
+                Button("SVG - \(preset.displayName)") {
+                    plotlyWebView?.exportForJournal(format: .svg, preset: preset)
+                }
+            }
+            
+            Divider()
+            
+            Button("PNG - Single Column, Transparent") {
+                plotlyWebView?.exportForJournal(format: .png, preset: .singleColumn, background: .transparent)
+            }
+        } label: {
+            Label("Journal Figure", systemImage: "book.pages")
+        }
+        
+        Divider()
+        
         Button(action: {
             showingExportOptions = true
         }) {
@@ -44,7 +44,28 @@ struct PlotlyWebView: UIViewRepresentable {
 
     let exportService: PlotExportService?
 
+    /// Bumped by the parent to regenerate the figure and update the loaded page in place
+    var refreshTrigger: Int = 0
+    var resetViewOnRefresh: Bool = false
+
+    /// What a lasso or box selection does: "new", "add" or "remove", applied to selectionTarget
+    var selectionMode = "new"
+    var selectionTarget: String?
+
+    /// Whether labels can be dragged on the plot itself
+    var annotationDragging = false
+
     @Environment(\.colorScheme) var colorScheme
+    @AppStorage("plotColorPalette") var colorPalette = "default"
+    @AppStorage("plotGroupSymbols") var groupSymbols = false
+    @AppStorage("volcanoGridMode") var gridMode = false
+    @AppStorage("volcanoViewMode") var viewMode = "volcano"
+    @AppStorage("volcanoDensityMode") var densityMode = false
+    @AppStorage("volcanoSummaryOverlay") var summaryOverlay = false
+    @AppStorage("volcanoHoverCard") var hoverCard = true
+    @AppStorage("volcanoThresholdDragging") var thresholdDragging = false
+    @AppStorage("volcanoRenderMode") var renderMode = "auto"
+    @AppStorage("plotLogLevel") var logLevel = "warn"
 
     enum PlotType {
         case volcano
@@ -67,13 +88,27 @@ struct PlotlyWebView: UIViewRepresentable {
         contentController.add(context.coordinator, name: "plotUpdated")
         contentController.add(context.coordinator, name: "plotError")
         contentController.add(context.coordinator, name: "pointClicked")
+        contentController.add(context.coordinator, name: "pointsClicked")
         contentController.add(context.coordinator, name: "pointHovered")
         contentController.add(context.coordinator, name: "annotationMoved")
+        contentController.add(context.coordinator, name: "annotationError")
         contentController.add(context.coordinator, name: "plotDimensions")
         contentController.add(context.coordinator, name: "annotationCoordinates")
         contentController.add(context.coordinator, name: "plotExported")
         contentController.add(context.coordinator, name: "plotExportError")
         contentController.add(context.coordinator, name: "plotInfo")
+        contentController.add(context.coordinator, name: "selectionCreated")
+        contentController.add(context.coordinator, name: "selectionCleared")
+        contentController.add(context.coordinator, name: "thresholdsChanged")
+        contentController.add(context.coordinator, name: "proteinsHighlighted")
+        contentController.add(context.coordinator, name: "viewportChanged")
+        contentController.add(context.coordinator, name: "historyChanged")
+        contentController.add(context.coordinator, name: "pointFocused")
+        contentController.add(context.coordinator, name: "pointsLoaded")
+        contentController.add(context.coordinator, name: "userShapesChanged")
+        contentController.add(context.coordinator, name: "viewSummary")
+        contentController.add(context.coordinator, name: "diagnostics")
+        contentController.add(context.coordinator, name: "bridgeResponse")
         configuration.userContentController = contentController
         
         let webView = WKWebView(frame: .zero, configuration: configuration)
@@ -88,6 +123,30 @@ struct PlotlyWebView: UIViewRepresentable {
             webView.scrollView.backgroundColor = .white
         }
 
+        // VoiceOver users step through points with the rotor's Actions
+        webView.accessibilityCustomActions = [
+            UIAccessibilityCustomAction(name: "Next point") { _ in
+                PlotlyCoordinator.getCurrentBridgeService()?.focusPoint(step: 1)
+                return true
+            },
+            UIAccessibilityCustomAction(name: "Previous point") { _ in
+                PlotlyCoordinator.getCurrentBridgeService()?.focusPoint(step: -1)
+                return true
+            },
+            UIAccessibilityCustomAction(name: "Next group") { _ in
+                PlotlyCoordinator.getCurrentBridgeService()?.focusGroup(step: 1)
+                return true
+            },
+            UIAccessibilityCustomAction(name: "Previous group") { _ in
+                PlotlyCoordinator.getCurrentBridgeService()?.focusGroup(step: -1)
+                return true
+            },
+            UIAccessibilityCustomAction(name: "Open point") { _ in
+                PlotlyCoordinator.getCurrentBridgeService()?.activateFocusedPoint()
+                return true
+            }
+        ]
+
         context.coordinator.setCurrentWebView(webView)
 
         return webView
@@ -107,46 +166,77 @@ struct PlotlyWebView: UIViewRepresentable {
 
         if !context.coordinator.htmlLoaded {
             context.coordinator.generateAndLoadPlot(in: webView)
-        } else {
+        } else if context.coordinator.appliedColorScheme != colorScheme {
+            // Restyle in place so zoom, labels and history survive an appearance change
+            context.coordinator.appliedColorScheme = colorScheme
+            Coordinator.getCurrentBridgeService()?.setTheme(mode: colorScheme == .dark ? "dark" : "light")
+        }
+
+        if context.coordinator.htmlLoaded {
+            context.coordinator.refreshPlotIfNeeded()
+            context.coordinator.applyColorPaletteIfNeeded()
+            context.coordinator.applyDensityModeIfNeeded()
+            context.coordinator.applyViewModeIfNeeded()
+            context.coordinator.applySummaryOverlayIfNeeded()
+            context.coordinator.applyHoverCardIfNeeded()
+            context.coordinator.applyRenderModeIfNeeded()
+            context.coordinator.applyThresholdDraggingIfNeeded()
+            context.coordinator.applySelectionModeIfNeeded()
+            context.coordinator.applyAnnotationDraggingIfNeeded()
+            context.coordinator.applyLogLevelIfNeeded()
         }
     }
     
     
     /// Export the current plot as PNG with specified options
     func exportAsPNG(filename: String? = nil, width: Int = 1200, height: Int = 800) {
-        guard let webView = Coordinator.getCurrentWebView() else {
+        guard let bridgeService = Coordinator.getCurrentBridgeService() else {
             return
         }
         
         let finalFilename = filename ?? generateDefaultFilename(format: "png")
-        let jsCode = "window.CurtainVisualization.exportAsPNG('\(finalFilename)', \(width), \(height));"
-        
-        webView.evaluateJavaScript(jsCode) { _, _ in
-        }
+        bridgeService.exportAsPNG(filename: finalFilename, width: width, height: height)
     }
     
     /// Export the current plot as SVG with specified options
     func exportAsSVG(filename: String? = nil, width: Int = 1200, height: Int = 800) {
-        guard let webView = Coordinator.getCurrentWebView() else {
+        guard let bridgeService = Coordinator.getCurrentBridgeService() else {
             return
         }
         
         let finalFilename = filename ?? generateDefaultFilename(format: "svg")
-        let jsCode = "window.CurtainVisualization.exportAsSVG('\(finalFilename)', \(width), \(height));"
-        
-        webView.evaluateJavaScript(jsCode) { _, _ in
+        bridgeService.exportAsSVG(filename: finalFilename, width: width, height: height)
+    }
+    
+    /// Export at a journal column width; dimensions and font sizes come from the preset
+    func exportForJournal(
+        format: PlotExportOptions.ExportFormat,
+        preset: PlotExportOptions.JournalPreset,
+        dpi: Int = 300,
+        background: PlotExportOptions.Background = .white
+    ) {
+        guard let bridgeService = Coordinator.getCurrentBridgeService() else {
+            return
         }
+        
+        bridgeService.exportPlot(
+            format: format.rawValue,
+            filename: generateDefaultFilename(format: format.fileExtension),
+            options: [
+                "preset": preset.rawValue,
+                "dpi": dpi,
+                "background": background.rawValue
+            ]
+        )
     }
     
     /// Get information about the current plot for export purposes
     func getCurrentPlotInfo() {
-        guard let webView = Coordinator.getCurrentWebView() else {
+        guard let bridgeService = Coordinator.getCurrentBridgeService() else {
             return
         }
         
-        let jsCode = "window.CurtainVisualization.getCurrentPlotInfo();"
-        webView.evaluateJavaScript(jsCode) { _, _ in
-        }
+        bridgeService.getCurrentPlotInfo()
     }
     
     
@@ -172,28 +262,22 @@ struct PlotlyWebView: UIViewRepresentable {
     
     /// Export the currently active plot as PNG (static method for global access)
     static func exportCurrentPlotAsPNG(filename: String? = nil, width: Int = 1200, height: Int = 800) {
-        guard let webView = PlotlyCoordinator.getCurrentWebView() else {
+        guard let bridgeService = PlotlyCoordinator.getCurrentBridgeService() else {
             return
         }
         
         let finalFilename = filename ?? "plot_\(DateFormatter.filenameSafe.string(from: Date())).png"
-        let jsCode = "window.CurtainVisualization.exportAsPNG('\(finalFilename)', \(width), \(height));"
-        
-        webView.evaluateJavaScript(jsCode) { _, _ in
-        }
+        bridgeService.exportAsPNG(filename: finalFilename, width: width, height: height)
     }
     
     /// Export the currently active plot as SVG (static method for global access)
     static func exportCurrentPlotAsSVG(filename: String? = nil, width: Int = 1200, height: Int = 800) {
-        guard let webView = PlotlyCoordinator.getCurrentWebView() else {
+        guard let bridgeService = PlotlyCoordinator.getCurrentBridgeService() else {
             return
         }
         
         let finalFilename = filename ?? "plot_\(DateFormatter.filenameSafe.string(from: Date())).svg"
-        let jsCode = "window.CurtainVisualization.exportAsSVG('\(finalFilename)', \(width), \(height));"
-        
-        webView.evaluateJavaScript(jsCode) { _, _ in
-        }
+        bridgeService.exportAsSVG(filename: finalFilename, width: width, height: height)
     }
     
     /// Check if there's an active plot available for export
@@ -224,9 +308,72 @@ struct InteractiveVolcanoPlotView: View {
     /// Manages annotation positioning workflow
     @State private var positioningState = AnnotationPositioningViewState()
 
+    /// In annotation edit mode, labels are dragged on the plot; otherwise a tap opens the editor
+    @State private var annotationDragOnPlot = true
+
     /// Manages drag gesture state and performance throttling
     @State private var dragState = DragOperationViewState()
 
+    /// Overlapping points offered in the picker after an ambiguous tap
+    @State private var overlappingPoints: [[String: Any]] = []
+    @State private var showingPointPicker = false
+
+    /// Undo/redo availability reported by the web layer's edit history
+    @State private var canUndoPlotEdit = false
+    @State private var canRedoPlotEdit = false
+
+    /// Whether the page reports axis ranges other than the generated ones
+    @State private var plotZoomed = false
+
+    /// Counts from the page's latest highlight; both zero once it is cleared
+    @State private var highlightMatched = 0
+    @State private var highlightMissing = 0
+
+    /// Small-multiples view, one panel per comparison
+    @AppStorage("volcanoGridMode") private var gridMode = false
+
+    /// Volcano, rank plot or p-value histogram of the same points
+    @AppStorage("volcanoViewMode") private var viewMode = "volcano"
+
+    /// Share of streamed points drawn so far; nil once everything has arrived
+    @State private var pointLoadFraction: Double?
+
+    /// Set when streaming gave up on a batch, so part of the dataset is missing from the plot
+    @State private var pointLoadError: String?
+
+    /// Contour in place of the background point cloud
+    @AppStorage("volcanoDensityMode") private var densityMode = false
+
+    /// Counts of the points inside the current zoom, drawn on the plot
+    @AppStorage("volcanoSummaryOverlay") private var summaryOverlay = false
+
+    /// Latest counts inside the visible axis ranges, copied out for reports
+    @State private var viewSummary: [String: Any]?
+
+    /// Point details card on hover; on iPad a tap pins it instead of opening the point
+    @AppStorage("volcanoHoverCard") private var hoverCard = true
+
+    /// Cutoff lines can be dragged; the new cutoffs are saved when a drag ends
+    @AppStorage("volcanoThresholdDragging") private var thresholdDragging = false
+
+    /// "auto" switches to WebGL for large datasets; "svg" and "webgl" force one renderer
+    @AppStorage("volcanoRenderMode") private var renderMode = "auto"
+
+    /// How much the page echoes to the console; Copy Diagnostics has every recent event regardless
+    @AppStorage("plotLogLevel") private var logLevel = "warn"
+
+    /// Drag mode of the page: "zoom", or a shape mode while drawing notes
+    @State private var drawMode = "zoom"
+
+    /// Whether lasso and box selections start a new list or add to or remove from selectionTarget
+    @State private var selectionMode = "new"
+    @State private var selectionTarget: String?
+
+    /// Shape whose label is being edited, named as the page names it
+    @State private var shapeLabelTarget: String?
+    @State private var shapeLabelText = ""
+    @State private var showingShapeLabelEditor = false
+
 
     // Default initializer for cases where annotation edit mode is not needed
     init(curtainData: Binding<CurtainData>) {
@@ -311,8 +458,140 @@ struct InteractiveVolcanoPlotView: View {
             }
         }
         .onReceive(NotificationCenter.default.publisher(for: NSNotification.Name("VolcanoPlotRefresh"))) { notification in
+            pointLoadFraction = nil
+            pointLoadError = nil
+            // The regenerated layout starts back in zoom mode
+            drawMode = "zoom"
+            // A different settings variant brings its own axes, so the user's zoom no longer applies
+            let reason = notification.userInfo?["reason"] as? String
+            renderState.triggerRefresh(resetView: reason == "settings_variant_loaded")
+        }
+        .onReceive(NotificationCenter.default.publisher(for: NSNotification.Name("VolcanoProteinsHighlighted"))) { notification in
+            highlightMatched = (notification.userInfo?["matched"] as? [String])?.count ?? 0
+            highlightMissing = (notification.userInfo?["missing"] as? [String])?.count ?? 0
+        }
+        .onReceive(NotificationCenter.default.publisher(for: NSNotification.Name("VolcanoViewSummary"))) { notification in
+            viewSummary = notification.userInfo as? [String: Any]
+        }
+        .onReceive(NotificationCenter.default.publisher(for: NSNotification.Name("VolcanoViewportChanged"))) { notification in
+            plotZoomed = !(notification.userInfo?["isDefault"] as? Bool ?? true)
+        }
+        .confirmationDialog("Select protein", isPresented: $showingPointPicker, titleVisibility: .visible) {
+            ForEach(overlappingPoints.indices, id: \.self) { index in
+                let point = overlappingPoints[index]
+                Button(point["proteinName"] as? String ?? point["id"] as? String ?? "Unknown") {
+                    NotificationCenter.default.post(
+                        name: NSNotification.Name("VolcanoPointChosen"),
+                        object: nil,
+                        userInfo: ["point": point]
+                    )
+                }
+            }
+            Button("Cancel", role: .cancel) {}
+        } message: {
+            Text("\(overlappingPoints.count) proteins overlap at this position")
+        }
+        .alert("Shape label", isPresented: $showingShapeLabelEditor) {
+            TextField("Label", text: $shapeLabelText)
+            Button("Save") {
+                if let name = shapeLabelTarget {
+                    PlotlyCoordinator.getCurrentBridgeService()?.setUserShapeLabel(name: name, text: shapeLabelText)
+                }
+                shapeLabelTarget = nil
+            }
+            Button("Cancel", role: .cancel) {
+                shapeLabelTarget = nil
+            }
+        }
+        .onChange(of: drawMode) { oldValue, newValue in
+            PlotlyCoordinator.getCurrentBridgeService()?.setDragMode(newValue)
+        }
+        .onChange(of: viewMode) { oldValue, newValue in
+            drawMode = "zoom"
+        }
+        .onChange(of: selectionMode) { oldValue, newValue in
+            // Adding or removing needs a list; start from the first one rather than silently creating
+            if newValue != "new" && selectionTargetIfListed == nil {
+                selectionTarget = proteinSearchManager.searchSession.searchLists.first?.name
+            }
+        }
+        .onChange(of: gridMode) { oldValue, newValue in
+            drawMode = "zoom"
+        }
+        .onReceive(NotificationCenter.default.publisher(for: NSNotification.Name("VolcanoUserShapesChanged"))) { notification in
+            guard let shapes = notification.userInfo?["shapes"] as? [[String: Any]] else { return }
+            // The page already shows the shapes, so persist without re-rendering
+            applySettingsUpdate(
+                volcanoAdditionalShapes: PlotlyChartGenerator.mergeUserShapes(shapes, into: curtainData.settings.volcanoAdditionalShapes)
+            )
+
+            if let created = (notification.userInfo?["created"] as? [String])?.first {
+                editShapeLabel(name: created, current: "")
+            }
+        }
+        .onReceive(NotificationCenter.default.publisher(for: NSNotification.Name("VolcanoThresholdsChanged"))) { notification in
+            guard let log2FCCutoff = notification.userInfo?["log2FCCutoff"] as? Double,
+                  let pCutoff = notification.userInfo?["pCutoff"] as? Double else { return }
+            let oldCutoffs = (pCutoff: curtainData.settings.pCutoff, log2FCCutoff: curtainData.settings.log2FCCutoff)
+            let newCutoffs = (pCutoff: pCutoff, log2FCCutoff: log2FCCutoff)
+            // Significance group names carry the cutoffs, so their colours move to the new names
+            PlotlyChartGenerator.renameSignificanceColors(from: oldCutoffs, to: newCutoffs)
+            applySettingsUpdate(
+                colorMap: VolcanoPlotDataService.renameSignificanceGroups(
+                    in: curtainData.settings.colorMap, from: oldCutoffs, to: newCutoffs
+                ),
+                pCutoff: pCutoff,
+                log2FCCutoff: log2FCCutoff
+            )
+            // The page has recoloured the points, but its legend still names the old cutoffs
+            renderState.triggerRefresh()
+        }
+        .onReceive(NotificationCenter.default.publisher(for: NSNotification.Name("VolcanoPointsLoaded"))) { notification in
+            let done = notification.userInfo?["done"] as? Bool ?? true
+            pointLoadFraction = done ? nil : notification.userInfo?["fraction"] as? Double
+            pointLoadError = notification.userInfo?["error"] as? String
+        }
+        .onReceive(NotificationCenter.default.publisher(for: NSNotification.Name("VolcanoHistoryChanged"))) { notification in
+            canUndoPlotEdit = notification.userInfo?["canUndo"] as? Bool ?? false
+            canRedoPlotEdit = notification.userInfo?["canRedo"] as? Bool ?? false
+            // Undo and redo report every label, so the saved positions follow the page
+            if let annotations = notification.userInfo?["annotations"] as? [[String: Any]] {
+                persistAnnotationPositions(annotations)
+            }
+        }
+        .onReceive(NotificationCenter.default.publisher(for: NSNotification.Name("VolcanoPointsClicked"))) { notification in
+            guard let points = notification.userInfo?["points"] as? [[String: Any]] else { return }
+            overlappingPoints = points
+            showingPointPicker = true
+        }
+        .onReceive(NotificationCenter.default.publisher(for: NSNotification.Name("VolcanoSelectionCreated"))) { notification in
+            guard let userInfo = notification.userInfo,
+                  let ids = userInfo["ids"] as? [String] else { return }
+            let action = userInfo["action"] as? String ?? "create"
+            let groupName = userInfo["groupName"] as? String ?? ""
+
+            if action == "create" || groupName.isEmpty {
+                guard !ids.isEmpty else { return }
+                let selectionType = userInfo["selectionType"] as? String ?? "lasso"
+                let _ = proteinSearchManager.createSearchListFromProteinIds(
+                    name: "\(selectionType == "box" ? "Box" : "Lasso") selection \(proteinSearchManager.searchSession.searchLists.count + 1)",
+                    proteinIds: Set(ids),
+                    curtainData: &curtainData,
+                    description: "Created from volcano plot \(selectionType) selection"
+                )
+            } else {
+                proteinSearchManager.updateSearchListProteins(
+                    selectionName: groupName,
+                    adding: action == "add" ? Set(ids) : [],
+                    removing: action == "remove" ? Set(ids) : [],
+                    curtainData: &curtainData
+                )
+            }
             renderState.triggerRefresh()
-            renderState.forceUpdate()
+        }
+        .onReceive(NotificationCenter.default.publisher(for: NSNotification.Name("VolcanoAnnotationMoved"))) { notification in
+            guard let movedAnnotations = notification.userInfo?["annotations"] as? [[String: Any]] else { return }
+            persistAnnotationPositions(movedAnnotations)
         }
         .onReceive(NotificationCenter.default.publisher(for: NSNotification.Name("VolcanoAnnotationsCreated"))) { notification in
             guard let annotations = notification.userInfo?["annotations"] as? [String: [String: Any]] else { return }
@@ -321,24 +600,146 @@ struct InteractiveVolcanoPlotView: View {
                 updatedTextAnnotation[title] = AnyCodable(data)
             }
             // Apply annotation update via helper that reconstructs curtainData
-            applyTextAnnotationUpdate(updatedTextAnnotation)
+            applySettingsUpdate(textAnnotation: updatedTextAnnotation)
             renderState.triggerRefresh()
-            renderState.forceUpdate()
         }
     }
 
     
-    private func applyTextAnnotationUpdate(_ updatedTextAnnotation: [String: AnyCodable]) {
+    /// Copies label offsets reported by the page into textAnnotation, matching by id or title
+    private func persistAnnotationPositions(_ reported: [[String: Any]]) {
+        var updatedTextAnnotation = curtainData.settings.textAnnotation
+        var hasChanges = false
+        for annotation in reported {
+            guard let ax = annotation["ax"] as? Double, let ay = annotation["ay"] as? Double else { continue }
+            let id = annotation["id"] as? String
+            let title = annotation["title"] as? String
+            let key = updatedTextAnnotation.keys.first { key in
+                if key == id || key == title { return true }
+                let annotationData = updatedTextAnnotation[key]?.value as? [String: Any]
+                return title != nil && annotationData?["title"] as? String == title
+            }
+            guard let annotationKey = key,
+                  var annotationData = updatedTextAnnotation[annotationKey]?.value as? [String: Any],
+                  var dataSection = annotationData["data"] as? [String: Any] else { continue }
+            if dataSection["ax"] as? Double == ax && dataSection["ay"] as? Double == ay { continue }
+            dataSection["ax"] = ax
+            dataSection["ay"] = ay
+            annotationData["data"] = dataSection
+            updatedTextAnnotation[annotationKey] = AnyCodable(annotationData)
+            hasChanges = true
+        }
+        // The plot already shows these positions, so persist without re-rendering
+        if hasChanges {
+            applySettingsUpdate(textAnnotation: updatedTextAnnotation)
+        }
+    }
+
+
+    private func editShapeLabel(name: String, current: String) {
+        shapeLabelTarget = name
+        shapeLabelText = current
+        showingShapeLabelEditor = true
+    }
+
+
+    /// Puts the page's diagnostics dump on the pasteboard as JSON, for bug reports
+    private func copyDiagnostics() {
+        PlotlyCoordinator.getCurrentBridgeService()?.requestDiagnostics { result in
+            guard case .success(let value) = result,
+                  let dump = value,
+                  JSONSerialization.isValidJSONObject(dump),
+                  let data = try? JSONSerialization.data(withJSONObject: dump, options: [.prettyPrinted, .sortedKeys]),
+                  let json = String(data: data, encoding: .utf8) else {
+                return
+            }
+            UIPasteboard.general.string = json
+        }
+    }
+
+
+    /// Plain-text counts for pasting into a report
+    private func copyViewSummary() {
+        guard let summary = viewSummary else { return }
+
+        let xRange = summary["xRange"] as? [Double] ?? []
+        let yRange = summary["yRange"] as? [Double] ?? []
+        var lines: [String] = []
+        if xRange.count == 2, yRange.count == 2 {
+            lines.append(String(format: "Log2FC %.2f to %.2f, -log10(p) %.2f to %.2f", xRange.min()!, xRange.max()!, yRange.min()!, yRange.max()!))
+        }
+        lines.append("Points in view: \(summary["total"] as? Int ?? 0)")
+        if let up = summary["up"] as? Int, let down = summary["down"] as? Int,
+           let fcCutoff = summary["log2FCCutoff"] as? Double, let pCutoff = summary["pCutoff"] as? Double {
+            lines.append("Up: \(up), Down: \(down) (|log2FC| > \(fcCutoff), p <= \(pCutoff))")
+        }
+
+        let groups = summary["groups"] as? [[String: Any]] ?? []
+        if !groups.isEmpty {
+            lines.append("")
+            lines.append("Groups:")
+            for group in groups {
+                let name = group["name"] as? String ?? ""
+                let hidden = group["visible"] as? Bool == false ? " [hidden]" : ""
+                lines.append("  \(name): \(group["count"] as? Int ?? 0) (up \(group["up"] as? Int ?? 0), down \(group["down"] as? Int ?? 0))\(hidden)")
+            }
+        }
+
+        let selections = summary["selections"] as? [String: Int] ?? [:]
+        if !selections.isEmpty {
+            lines.append("")
+            lines.append("Selections:")
+            for name in selections.keys.sorted() {
+                lines.append("  \(name): \(selections[name] ?? 0)")
+            }
+        }
+
+        UIPasteboard.general.string = lines.joined(separator: "\n")
+    }
+
+
+    /// Shapes drawn on the plot as the page last reported them, for the Notes menu
+    private var userShapes: [(name: String, label: String)] {
+        curtainData.settings.volcanoAdditionalShapes.compactMap { item in
+            guard let shape = item.value as? [String: Any], let name = shape["name"] as? String,
+                  PlotlyChartGenerator.userShapeTypes.contains(shape["type"] as? String ?? "") else { return nil }
+            return (name, (shape["label"] as? [String: Any])?["text"] as? String ?? "")
+        }
+    }
+
+
+    /// Only the single volcano figure takes drawn shapes
+    private var showsSingleVolcano: Bool {
+        viewMode == "volcano" && !(gridMode && curtainData.differentialForm.comparisonSelect.count > 1)
+    }
+
+
+    /// Target list for add/remove selections, dropped once the list is renamed or deleted
+    private var selectionTargetIfListed: String? {
+        guard selectionMode != "new", let target = selectionTarget,
+              proteinSearchManager.searchSession.searchLists.contains(where: { $0.name == target }) else { return nil }
+        return target
+    }
+
+
+    /// Fields left nil keep their current value
+    private func applySettingsUpdate(
+        textAnnotation: [String: AnyCodable]? = nil,
+        volcanoAdditionalShapes: [AnyCodable]? = nil,
+        colorMap: [String: String]? = nil,
+        pCutoff: Double? = nil,
+        log2FCCutoff: Double? = nil
+    ) {
         let updatedSettings = CurtainSettings(
             fetchUniprot: curtainData.settings.fetchUniprot,
             inputDataCols: curtainData.settings.inputDataCols,
             probabilityFilterMap: curtainData.settings.probabilityFilterMap,
             barchartColorMap: curtainData.settings.barchartColorMap,
-            pCutoff: curtainData.settings.pCutoff,
-            log2FCCutoff: curtainData.settings.log2FCCutoff,
+            pCutoff: pCutoff ?? curtainData.settings.pCutoff,
+            log2FCCutoff: log2FCCutoff ?? curtainData.settings.log2FCCutoff,
             description: curtainData.settings.description,
             uniprot: curtainData.settings.uniprot,
-            colorMap: curtainData.settings.colorMap,
+            colorMap: colorMap ?? curtainData.settings.colorMap,
             academic: curtainData.settings.academic,
             backGroundColorGrey: curtainData.settings.backGroundColorGrey,
             currentComparison: curtainData.settings.currentComparison,
@@ -353,12 +754,12 @@ struct InteractiveVolcanoPlotView: View {
             conditionOrder: curtainData.settings.conditionOrder,
             sampleMap: curtainData.settings.sampleMap,
             volcanoAxis: curtainData.settings.volcanoAxis,
-            textAnnotation: updatedTextAnnotation,
+            textAnnotation: textAnnotation ?? curtainData.settings.textAnnotation,
             volcanoPlotTitle: curtainData.settings.volcanoPlotTitle,
             visible: curtainData.settings.visible,
             volcanoPlotGrid: curtainData.settings.volcanoPlotGrid,
             volcanoPlotDimension: curtainData.settings.volcanoPlotDimension,
-            volcanoAdditionalShapes: curtainData.settings.volcanoAdditionalShapes,
+            volcanoAdditionalShapes: volcanoAdditionalShapes ?? curtainData.settings.volcanoAdditionalShapes,
             volcanoPlotLegendX: curtainData.settings.volcanoPlotLegendX,
             volcanoPlotLegendY: curtainData.settings.volcanoPlotLegendY,
             defaultColorList: curtainData.settings.defaultColorList,
@@ -623,6 +1024,7 @@ struct InteractiveVolcanoPlotView: View {
             name: NSNotification.Name("UpdateAnnotationJS"),
             object: nil,
             userInfo: [
+                "id": candidate.key,
                 "title": candidate.title,
                 "ax": plotlyAx,
                 "ay": plotlyAy
@@ -893,9 +1295,16 @@ struct InteractiveVolcanoPlotView: View {
                 selectionManager: selectionManager,
                 annotationManager: annotationManager,
                 coordinateRefreshTrigger: $renderState.coordinateRefreshTrigger,
-                exportService: plotExportService
+                exportService: plotExportService,
+                refreshTrigger: renderState.refreshTrigger,
+                resetViewOnRefresh: renderState.resetViewOnRefresh,
+                selectionMode: selectionMode,
+                selectionTarget: selectionTargetIfListed,
+                annotationDragging: annotationEditMode && annotationDragOnPlot
             )
-            .id("\(renderState.plotId)-\(renderState.refreshTrigger)") // Force refresh when selections change
+            // Data and colour changes update the loaded page in place through refreshTrigger,
+            // which keeps the user's zoom; only a new plotId rebuilds the web view
+            .id(renderState.plotId)
             .frame(minHeight: 400) // Ensure WebView has proper size
             .clipped()
             .onAppear {
@@ -910,8 +1319,9 @@ struct InteractiveVolcanoPlotView: View {
                 }
             }
             
-            // Transparent overlay for annotation editing (but not over the floating button)
-            if annotationEditMode {
+            // Transparent overlay for annotation editing (but not over the floating button).
+            // While labels are dragged on the plot it stays out of the way so touches reach the page.
+            if annotationEditMode && !annotationDragOnPlot {
                 AnnotationEditOverlay(
                     curtainData: curtainData,
                     isInteractivePositioning: positioningState.isInteractivePositioning,
@@ -969,21 +1379,223 @@ struct InteractiveVolcanoPlotView: View {
                             .foregroundColor(.white)
                             .cornerRadius(16)
                     } else {
-                        Text("🎯 Annotation Edit Mode - Tap near annotations to edit")
+                        Text(annotationDragOnPlot
+                             ? "🎯 Annotation Edit Mode - Drag a label to move it"
+                             : "🎯 Annotation Edit Mode - Tap near annotations to edit")
                             .font(.caption)
                             .padding(.horizontal, 12)
                             .padding(.vertical, 6)
                             .background(Color.orange.opacity(0.9))
                             .foregroundColor(.white)
                             .cornerRadius(16)
+                        // The page reports the new offsets as moves, so they are saved like drags
+                        Button(action: { PlotlyCoordinator.getCurrentBridgeService()?.autoLayoutAnnotations() }) {
+                            Label("Auto-arrange labels", systemImage: "wand.and.stars")
+                                .font(.caption)
+                                .padding(.horizontal, 12)
+                                .padding(.vertical, 6)
+                                .background(.regularMaterial)
+                                .cornerRadius(16)
+                        }
                     }
                     Spacer()
                 }
+                Picker("Label editing", selection: $annotationDragOnPlot) {
+                    Text("Drag on Plot").tag(true)
+                    Text("Tap to Edit").tag(false)
+                }
+                .pickerStyle(.segmented)
+                .frame(maxWidth: 260)
+                .disabled(positioningState.isInteractivePositioning)
+                .accessibilityIdentifier("annotationEditInteractionPicker")
                 Spacer()
             }
             .padding() : nil,
             alignment: .topLeading
         )
+        .overlay(
+            // Undo/redo for edits made directly in the plot
+            (canUndoPlotEdit || canRedoPlotEdit) ?
+            HStack(spacing: 8) {
+                Button(action: { PlotlyCoordinator.getCurrentBridgeService()?.undo() }) {
+                    Image(systemName: "arrow.uturn.backward")
+                        .frame(width: 36, height: 36)
+                }
+                .disabled(!canUndoPlotEdit)
+                .accessibilityLabel("Undo")
+
+                Button(action: { PlotlyCoordinator.getCurrentBridgeService()?.redo() }) {
+                    Image(systemName: "arrow.uturn.forward")
+                        .frame(width: 36, height: 36)
+                }
+                .disabled(!canRedoPlotEdit)
+                .accessibilityLabel("Redo")
+            }
+            .font(.system(size: 16, weight: .medium))
+            .padding(.horizontal, 8)
+            .background(.regularMaterial)
+            .cornerRadius(18)
+            .padding() : nil,
+            alignment: .topTrailing
+        )
+        .overlay(
+            // The plot is usable while the rest of a large dataset streams in
+            pointLoadFraction.map { fraction in
+                ProgressView(value: fraction) {
+                    Text("Loading points \(Int(fraction * 100))%")
+                        .font(.caption)
+                }
+                .frame(maxWidth: 220)
+                .padding(8)
+                .background(.regularMaterial)
+                .cornerRadius(8)
+                .padding(.bottom, 40)
+            },
+            alignment: .bottom
+        )
+        .overlay(
+            pointLoadError.map { message in
+                HStack(spacing: 8) {
+                    Image(systemName: "exclamationmark.triangle")
+                        .foregroundColor(.orange)
+                    Text("Some points failed to load")
+                        .font(.caption)
+                    Button("Reload") {
+                        pointLoadError = nil
+                        renderState.triggerRefresh()
+                    }
+                    .font(.caption)
+                }
+                .padding(8)
+                .background(.regularMaterial)
+                .cornerRadius(8)
+                .padding(.bottom, 40)
+                .accessibilityHint(message)
+            },
+            alignment: .bottom
+        )
+        .overlay(
+            // Search results stay highlighted until dismissed here
+            (highlightMatched > 0 || highlightMissing > 0) && !annotationEditMode ?
+            HStack(spacing: 8) {
+                Image(systemName: "magnifyingglass")
+                Text(highlightMissing > 0
+                     ? "\(highlightMatched) highlighted, \(highlightMissing) not found"
+                     : "\(highlightMatched) highlighted")
+                    .font(.caption)
+                Button(action: { PlotlyCoordinator.getCurrentBridgeService()?.clearHighlight() }) {
+                    Image(systemName: "xmark.circle.fill")
+                        .foregroundColor(.secondary)
+                }
+                .accessibilityLabel("Clear Highlight")
+            }
+            .padding(.horizontal, 12)
+            .padding(.vertical, 6)
+            .background(.regularMaterial)
+            .cornerRadius(16)
+            .padding() : nil,
+            alignment: .top
+        )
+        .overlay(
+            !annotationEditMode ?
+            Menu {
+                Button {
+                    PlotlyCoordinator.getCurrentBridgeService()?.resetView()
+                } label: {
+                    Label("Reset View", systemImage: "arrow.up.left.and.arrow.down.right")
+                }
+                .disabled(!plotZoomed)
+                Picker("View", selection: $viewMode) {
+                    Label("Volcano", systemImage: "circle.grid.cross").tag("volcano")
+                    Label("Ranked fold change", systemImage: "chart.line.uptrend.xyaxis").tag("rank")
+                    Label("P-value histogram", systemImage: "chart.bar").tag("histogram")
+                }
+                // Grid only makes sense with more than one comparison loaded
+                if curtainData.differentialForm.comparisonSelect.count > 1 {
+                    Toggle("One plot per comparison", isOn: $gridMode)
+                        .disabled(viewMode != "volcano")
+                }
+                Toggle("Density background", isOn: $densityMode)
+                    .disabled(viewMode != "volcano")
+                Toggle("Counts in view", isOn: $summaryOverlay)
+                Button("Copy Counts in View") {
+                    copyViewSummary()
+                }
+                // The page only counts on the single volcano
+                .disabled(viewSummary == nil || !showsSingleVolcano)
+                Toggle("Hover cards", isOn: $hoverCard)
+                Toggle("Drag cutoff lines", isOn: $thresholdDragging)
+                Picker("Rendering", selection: $renderMode) {
+                    Text("Automatic").tag("auto")
+                    Text("Vector (SVG)").tag("svg")
+                    Text("WebGL").tag("webgl")
+                }
+                .pickerStyle(.menu)
+                Section("Selection") {
+                    Picker("Lasso and Box", selection: $selectionMode) {
+                        Label("New List", systemImage: "plus.rectangle.on.rectangle").tag("new")
+                        Label("Add to List", systemImage: "plus.circle").tag("add")
+                        Label("Remove from List", systemImage: "minus.circle").tag("remove")
+                    }
+                    .pickerStyle(.menu)
+                    Picker("List", selection: $selectionTarget) {
+                        Text("None").tag(String?.none)
+                        ForEach(proteinSearchManager.searchSession.searchLists, id: \.id) { list in
+                            Text(list.name).tag(String?.some(list.name))
+                        }
+                    }
+                    .pickerStyle(.menu)
+                    .disabled(selectionMode == "new")
+                }
+                Section("Notes") {
+                    Picker("Draw", selection: $drawMode) {
+                        Label("Off", systemImage: "hand.point.up.left").tag("zoom")
+                        Label("Rectangle", systemImage: "rectangle").tag("drawrect")
+                        Label("Outline", systemImage: "scribble").tag("drawclosedpath")
+                        Label("Line", systemImage: "line.diagonal").tag("drawline")
+                    }
+                    .pickerStyle(.menu)
+                    .disabled(!showsSingleVolcano)
+                    ForEach(userShapes, id: \.name) { shape in
+                        Menu(shape.label.isEmpty ? "Untitled shape" : shape.label) {
+                            Button("Edit Label…") {
+                                editShapeLabel(name: shape.name, current: shape.label)
+                            }
+                            Button("Delete", role: .destructive) {
+                                PlotlyCoordinator.getCurrentBridgeService()?.removeUserShape(name: shape.name)
+                            }
+                        }
+                    }
+                    if !userShapes.isEmpty {
+                        Button("Remove All Shapes", role: .destructive) {
+                            PlotlyCoordinator.getCurrentBridgeService()?.clearUserShapes()
+                        }
+                    }
+                }
+                Section("Diagnostics") {
+                    Picker("Log Level", selection: $logLevel) {
+                        Text("Off").tag("off")
+                        Text("Errors").tag("error")
+                        Text("Warnings").tag("warn")
+                        Text("Info").tag("info")
+                        Text("Verbose").tag("debug")
+                    }
+                    .pickerStyle(.menu)
+                    Button("Copy Diagnostics") {
+                        copyDiagnostics()
+                    }
+                }
+            } label: {
+                Image(systemName: gridMode && viewMode == "volcano" ? "square.grid.2x2" : "square.stack.3d.up")
+                    .font(.system(size: 16, weight: .medium))
+                    .frame(width: 36, height: 36)
+                    .background(.regularMaterial)
+                    .cornerRadius(18)
+            }
+            .accessibilityLabel("Plot view")
+            .padding() : nil,
+            alignment: .topLeading
+        )
         .overlay(
             // Accept/Reject buttons for preview mode
             positioningState.isPreviewingPosition ?
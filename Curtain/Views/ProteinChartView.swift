@@ -27,6 +27,8 @@ struct ProteinChartView: View {
     @State private var showingIndividualYAxisLimits = false
     @State private var showingBracketSettings = false
     @State private var showFABs = true
+    /// Sample, condition and value of the last point tapped on the chart
+    @State private var clickedPointSummary: String?
     @Environment(\.colorScheme) var colorScheme
 
     private var isMac: Bool {
@@ -193,6 +195,21 @@ struct ProteinChartView: View {
                             ProteinChartWebView(htmlContent: chartHtml)
                                 .onAppear {
                                 }
+                                .overlay(alignment: .top) {
+                                    if let clickedPointSummary {
+                                        Text(clickedPointSummary)
+                                            .font(.caption)
+                                            .padding(.horizontal, 10)
+                                            .padding(.vertical, 6)
+                                            .background(.regularMaterial)
+                                            .clipShape(Capsule())
+                                            .padding(.top, 8)
+                                            .onTapGesture {
+                                                self.clickedPointSummary = nil
+                                            }
+                                            .accessibilityIdentifier("proteinChartPointSummary")
+                                    }
+                                }
                                 .gesture(
                                     // Add swipe gesture for navigation
                                     DragGesture(minimumDistance: 50)
@@ -341,14 +358,38 @@ struct ProteinChartView: View {
             loadChart()
         }
         .onReceive(NotificationCenter.default.publisher(for: NSNotification.Name("ProteinChartRefresh"))) { notification in
-            // Reload the chart with updated colors
-            loadChart()
+            // Settings changes are pushed into the loaded chart; only fall back to
+            // regenerating the page when no chart is ready yet
+            if let chartCoordinator = ProteinChartWebView.Coordinator.current, chartCoordinator.isReady {
+                switch notification.userInfo?["reason"] as? String {
+                case "barChartBracketUpdate":
+                    refreshBracketsInPlace(chartCoordinator)
+                case "individualYAxisLimitsUpdate":
+                    refreshYAxisLimitsInPlace(chartCoordinator)
+                default:
+                    refreshChartInPlace(chartCoordinator)
+                }
+            } else {
+                loadChart()
+            }
+        }
+        .onReceive(NotificationCenter.default.publisher(for: NSNotification.Name("ProteinChartPointClicked"))) { notification in
+            guard let userInfo = notification.userInfo,
+                  let value = userInfo["value"] as? Double else { return }
+
+            let condition = userInfo["condition"] as? String ?? ""
+            if let sample = userInfo["sample"] as? String {
+                clickedPointSummary = "\(sample) · \(condition): \(String(format: "%.3f", value))"
+            } else {
+                clickedPointSummary = "\(condition): \(String(format: "%.3f", value))"
+            }
         }
     }
     
     private func loadChart() {
         isLoading = true
         error = nil
+        clickedPointSummary = nil
         
         Task {
             do {
@@ -368,6 +409,69 @@ struct ProteinChartView: View {
         }
     }
     
+    /// Regenerates the plot but only hands the condition brackets and top margin to the chart
+    private func refreshBracketsInPlace(_ chartCoordinator: ProteinChartWebView.Coordinator) {
+        Task {
+            do {
+                let plotData = try await ProteinChartGenerator().generateProteinChartPlotData(
+                    proteinId: currentProteinId,
+                    curtainData: curtainData,
+                    chartType: chartType,
+                    isDarkMode: colorScheme == .dark
+                )
+                let brackets = (plotData.layout.shapes ?? []).filter { $0.name == "condition-bracket" }
+                await MainActor.run {
+                    chartCoordinator.setBrackets(brackets, topMargin: plotData.layout.margin?.top)
+                }
+            } catch {
+                await MainActor.run {
+                    loadChart()
+                }
+            }
+        }
+    }
+
+    private func refreshYAxisLimitsInPlace(_ chartCoordinator: ProteinChartWebView.Coordinator) {
+        Task {
+            do {
+                let plotData = try await ProteinChartGenerator().generateProteinChartPlotData(
+                    proteinId: currentProteinId,
+                    curtainData: curtainData,
+                    chartType: chartType,
+                    isDarkMode: colorScheme == .dark
+                )
+                let range = plotData.layout.yaxis.range
+                await MainActor.run {
+                    chartCoordinator.setYAxisLimits(min: range?.first, max: range?.last)
+                }
+            } catch {
+                await MainActor.run {
+                    loadChart()
+                }
+            }
+        }
+    }
+
+    private func refreshChartInPlace(_ chartCoordinator: ProteinChartWebView.Coordinator) {
+        Task {
+            do {
+                let plotJSON = try await ProteinChartGenerator().generateProteinChartJSON(
+                    proteinId: currentProteinId,
+                    curtainData: curtainData,
+                    chartType: chartType,
+                    isDarkMode: colorScheme == .dark
+                )
+                await MainActor.run {
+                    chartCoordinator.updateChart(plotJSON: plotJSON)
+                }
+            } catch {
+                await MainActor.run {
+                    loadChart()
+                }
+            }
+        }
+    }
+
     // MARK: - Navigation Functions
     
     private func navigateToPrevious() {
@@ -437,25 +541,130 @@ struct ProteinChartView: View {
 
 struct ProteinChartWebView: UIViewRepresentable {
     let htmlContent: String
-    
+
+    @Environment(\.colorScheme) var colorScheme
+    @AppStorage("plotColorPalette") var colorPalette = "default"
+    @AppStorage("plotGroupSymbols") var groupSymbols = false
+
+    func makeCoordinator() -> Coordinator {
+        Coordinator()
+    }
+
     func makeUIView(context: Context) -> WKWebView {
         let configuration = WKWebViewConfiguration()
         configuration.allowsInlineMediaPlayback = true
         configuration.mediaTypesRequiringUserActionForPlayback = []
-        
+
+        let contentController = WKUserContentController()
+        contentController.add(context.coordinator, name: "plotReady")
+        contentController.add(context.coordinator, name: "plotUpdated")
+        contentController.add(context.coordinator, name: "plotError")
+        contentController.add(context.coordinator, name: "pointClicked")
+        contentController.add(context.coordinator, name: "bridgeResponse")
+        configuration.userContentController = contentController
+
         let webView = WKWebView(frame: .zero, configuration: configuration)
         webView.scrollView.isScrollEnabled = true
         webView.scrollView.bounces = false
         webView.isOpaque = false
         webView.backgroundColor = UIColor.clear
-        
+
+        context.coordinator.bridgeService.setWebView(webView)
+        Coordinator.current = context.coordinator
+
         return webView
     }
-    
+
     func updateUIView(_ webView: WKWebView, context: Context) {
-        if !htmlContent.isEmpty {
+        // Only reload when the HTML itself changed; in-place updates go through ProteinChart
+        if !htmlContent.isEmpty && htmlContent != context.coordinator.loadedHTML {
+            context.coordinator.loadedHTML = htmlContent
+            context.coordinator.isReady = false
+            context.coordinator.appliedColorScheme = colorScheme
+            context.coordinator.appliedPalette = "default|false"
             webView.loadHTMLString(htmlContent, baseURL: nil)
-        } else {
+        } else if context.coordinator.isReady && context.coordinator.appliedColorScheme != colorScheme {
+            context.coordinator.appliedColorScheme = colorScheme
+            context.coordinator.setTheme(colorScheme == .dark ? "dark" : "light")
+        }
+
+        context.coordinator.requestedPalette = (colorPalette, groupSymbols)
+        context.coordinator.applyColorPaletteIfNeeded()
+    }
+
+    @MainActor
+    class Coordinator: NSObject, WKScriptMessageHandler {
+        static weak var current: Coordinator?
+
+        let bridgeService = PlotlyBridgeService(target: "ProteinChart")
+        var loadedHTML = ""
+        var isReady = false
+        var appliedColorScheme: ColorScheme?
+        var appliedPalette: String?
+        var requestedPalette: (name: String, symbols: Bool) = ("default", false)
+
+        nonisolated func userContentController(_ userContentController: WKUserContentController, didReceive message: WKScriptMessage) {
+            Task { @MainActor in
+                switch message.name {
+                case "plotReady":
+                    self.isReady = true
+                    self.applyColorPaletteIfNeeded()
+
+                case "plotUpdated":
+                    break
+
+                case "plotError":
+                    print("[ProteinChartWebView] Chart error: \(message.body)")
+
+                case "pointClicked":
+                    guard let jsonString = message.body as? String,
+                          let jsonData = jsonString.data(using: .utf8),
+                          let clickData = try? JSONSerialization.jsonObject(with: jsonData) as? [String: Any] else {
+                        return
+                    }
+
+                    NotificationCenter.default.post(
+                        name: NSNotification.Name("ProteinChartPointClicked"),
+                        object: nil,
+                        userInfo: clickData
+                    )
+
+                case "bridgeResponse":
+                    self.bridgeService.handleResponse(message.body)
+
+                default:
+                    break
+                }
+            }
+        }
+
+        func updateChart(plotJSON: String) {
+            guard let plotData = plotJSON.data(using: .utf8),
+                  let plot = try? JSONSerialization.jsonObject(with: plotData) else {
+                return
+            }
+
+            bridgeService.send("updateChart", args: [plot])
+        }
+
+        func setYAxisLimits(min: Double?, max: Double?) {
+            bridgeService.send("setYAxisLimits", args: [min ?? NSNull(), max ?? NSNull()])
+        }
+
+        func setBrackets(_ shapes: [PlotShape], topMargin: Int? = nil) {
+            bridgeService.send("setBrackets", args: [shapes.map { $0.toDictionary() }, topMargin ?? NSNull()])
+        }
+
+        func setTheme(_ mode: String) {
+            bridgeService.setTheme(mode: mode)
+        }
+
+        func applyColorPaletteIfNeeded() {
+            let palette = "\(requestedPalette.name)|\(requestedPalette.symbols)"
+            guard isReady, palette != appliedPalette else { return }
+
+            appliedPalette = palette
+            bridgeService.setColorPalette(requestedPalette.name, symbols: requestedPalette.symbols)
         }
     }
 }
@@ -468,6 +677,18 @@ class ProteinChartGenerator {
     private let proteomicsDataDatabaseManager = ProteomicsDataDatabaseManager.shared
 
     func generateProteinChart(proteinId: String, curtainData: CurtainData, chartType: ProteinChartType, isDarkMode: Bool) async throws -> String {
+        let plotJSON = try await generateProteinChartJSON(proteinId: proteinId, curtainData: curtainData, chartType: chartType, isDarkMode: isDarkMode)
+        return generateChartHtmlTemplate(plotJSON: plotJSON, chartType: chartType, isDarkMode: isDarkMode)
+    }
+
+    /// Plot data only, for pushing into an already loaded chart via `ProteinChart.updateChart`
+    func generateProteinChartJSON(proteinId: String, curtainData: CurtainData, chartType: ProteinChartType, isDarkMode: Bool) async throws -> String {
+        let plotData = try await generateProteinChartPlotData(proteinId: proteinId, curtainData: curtainData, chartType: chartType, isDarkMode: isDarkMode)
+        return try plotData.toJSON()
+    }
+
+    /// Unserialised plot, so brackets or y-axis limits can be picked out and applied on their own
+    func generateProteinChartPlotData(proteinId: String, curtainData: CurtainData, chartType: ProteinChartType, isDarkMode: Bool) async throws -> PlotData {
 
         let chartData: ProteinChartData
 
@@ -488,10 +709,7 @@ class ProteinChartGenerator {
             throw ChartGenerationError.invalidProteinData
         }
 
-        let plotData = createPlotData(chartData: chartData, chartType: chartType, curtainData: curtainData, isDarkMode: isDarkMode)
-
-        let plotJSON = try plotData.toJSON()
-        return generateChartHtmlTemplate(plotJSON: plotJSON, chartType: chartType)
+        return createPlotData(chartData: chartData, chartType: chartType, curtainData: curtainData, isDarkMode: isDarkMode)
     }
     
     /// Parse raw data from SQLite database for chart generation
@@ -700,6 +918,7 @@ class ProteinChartGenerator {
         var colors: [String] = []
         var hoverText: [String] = []
         var sampleNames: [String] = []   // Keep sample names for hover
+        var pointInfo: [[String: Any]] = []  // Condition/sample reported on click
 
         // Track position info for grouping and dividers
         var tickvals: [Double] = []    // Positions for condition labels (x-axis indices)
@@ -728,6 +947,7 @@ class ProteinChartGenerator {
                 yValues.append(value)
                 colors.append(conditionColor)
                 sampleNames.append(sample)
+                pointInfo.append(["condition": condition, "sample": sample])
 
                 
                 hoverText.append("<b>\(sample)</b><br>Value: \(String(format: "%.3f", value))<br>Condition: \(condition)")
@@ -797,7 +1017,8 @@ class ProteinChartGenerator {
                     width: Double(curtainData.settings.barChartConditionBracket.bracketWidth),
                     dash: nil
                 ),
-                isYAxisLine: nil
+                isYAxisLine: nil,
+                name: "condition-bracket"
             ))
         }
 
@@ -826,7 +1047,7 @@ class ProteinChartGenerator {
             text: hoverText,
             textposition: "none",  // Hide text on bars, but keep for hover
             hovertemplate: "%{text}<extra></extra>",  // Use text for hover
-            customdata: nil
+            customdata: pointInfo
         )
 
         
@@ -860,6 +1081,8 @@ class ProteinChartGenerator {
         // Collect individual sample data for dot overlay
         var allDotXValues: [String] = []
         var allDotYValues: [Double] = []
+        var allDotInfo: [[String: Any]] = []
+        var barInfo: [[String: Any]] = []
         
         // Track condition indices for bracket drawing
         var conditionIndices: [String: Int] = [:]
@@ -879,14 +1102,20 @@ class ProteinChartGenerator {
             yValues.append(mean)
             errorValues.append(standardError)
             colors.append(conditionColor)
+            barInfo.append(["condition": condition, "n": values.count])
 
             // Store condition index for bracket drawing
             conditionIndices[condition] = index
 
             // Collect individual sample values for dots 
-            for value in values {
+            let samples = chartData.conditionSamples[condition] ?? []
+            for (sampleIndex, value) in values.enumerated() {
                 allDotXValues.append(condition)  // Each dot uses condition name as x
                 allDotYValues.append(value)      // Individual sample values
+                allDotInfo.append([
+                    "condition": condition,
+                    "sample": sampleIndex < samples.count ? samples[sampleIndex] : ""
+                ])
             }
         }
         
@@ -910,7 +1139,7 @@ class ProteinChartGenerator {
             ),
             text: nil,
             hovertemplate: "<b>%{x}</b><br>Mean: %{y:.3f}<extra></extra>",  
-            customdata: nil,
+            customdata: barInfo,
             error_y: PlotErrorBar(
                 type: "data",
                 array: errorValues,
@@ -938,7 +1167,7 @@ class ProteinChartGenerator {
             ),
             text: nil,
             hovertemplate: "<b>%{x}</b><br>Value: %{y:.3f}<extra></extra>",  
-            customdata: nil
+            customdata: allDotInfo
         )
         traces.append(dotTrace)
 
@@ -991,7 +1220,7 @@ class ProteinChartGenerator {
         // Create one trace per condition 
         for (index, condition) in chartData.conditions.enumerated() {
             guard let values = chartData.conditionData[condition],
-                  let _ = chartData.conditionSamples[condition],
+                  let samples = chartData.conditionSamples[condition],
                   !values.isEmpty else { continue }
 
             let conditionColor = getConditionColor(condition: condition, curtainData: curtainData)
@@ -1031,7 +1260,12 @@ class ProteinChartGenerator {
                 ),
                 text: nil,
                 hovertemplate: hoverTemplate,  
-                customdata: nil,
+                customdata: values.indices.map { sampleIndex in
+                    [
+                        "condition": condition,
+                        "sample": sampleIndex < samples.count ? samples[sampleIndex] : ""
+                    ]
+                },
                 
                 violinmode: nil,        
                 box_visible: true,      // Show box plot overlay with white fill
@@ -1766,7 +2000,8 @@ class ProteinChartGenerator {
             xref: "paper",
             yref: "paper",
             line: bracketLine,
-            isYAxisLine: nil
+            isYAxisLine: nil,
+            name: "condition-bracket"
         ))
 
         // Horizontal connector: from (leftMidX, bracketY) to (rightMidX, bracketY)
@@ -1779,7 +2014,8 @@ class ProteinChartGenerator {
             xref: "paper",
             yref: "paper",
             line: bracketLine,
-            isYAxisLine: nil
+            isYAxisLine: nil,
+            name: "condition-bracket"
         ))
 
         // Right vertical line: from (rightMidX, bracketY) to (rightMidX, baseY)
@@ -1792,7 +2028,8 @@ class ProteinChartGenerator {
             xref: "paper",
             yref: "paper",
             line: bracketLine,
-            isYAxisLine: nil
+            isYAxisLine: nil,
+            name: "condition-bracket"
         ))
 
 
@@ -1867,7 +2104,8 @@ class ProteinChartGenerator {
             xref: "paper",
             yref: "paper",
             line: bracketLine,
-            isYAxisLine: nil
+            isYAxisLine: nil,
+            name: "condition-bracket"
         ))
 
         // Right condition horizontal line
@@ -1882,7 +2120,8 @@ class ProteinChartGenerator {
             xref: "paper",
             yref: "paper",
             line: bracketLine,
-            isYAxisLine: nil
+            isYAxisLine: nil,
+            name: "condition-bracket"
         ))
 
         // Left vertical line: from (leftMidX, baseY) to (leftMidX, bracketY)
@@ -1895,7 +2134,8 @@ class ProteinChartGenerator {
             xref: "paper",
             yref: "paper",
             line: bracketLine,
-            isYAxisLine: nil
+            isYAxisLine: nil,
+            name: "condition-bracket"
         ))
 
         // Horizontal connector: from (leftMidX, bracketY) to (rightMidX, bracketY)
@@ -1908,7 +2148,8 @@ class ProteinChartGenerator {
             xref: "paper",
             yref: "paper",
             line: bracketLine,
-            isYAxisLine: nil
+            isYAxisLine: nil,
+            name: "condition-bracket"
         ))
 
         // Right vertical line: from (rightMidX, bracketY) to (rightMidX, baseY)
@@ -1921,7 +2162,8 @@ class ProteinChartGenerator {
             xref: "paper",
             yref: "paper",
             line: bracketLine,
-            isYAxisLine: nil
+            isYAxisLine: nil,
+            name: "condition-bracket"
         ))
 
 
@@ -1935,18 +2177,24 @@ class ProteinChartGenerator {
         return sqrt(variance)
     }
     
-    private func generateChartHtmlTemplate(plotJSON: String, chartType: ProteinChartType) -> String {
+    private func generateChartHtmlTemplate(plotJSON: String, chartType: ProteinChartType, isDarkMode: Bool) -> String {
         do {
             let htmlTemplate = try WebTemplateLoader.shared.loadHTMLTemplate(named: "protein-chart")
             var proteinChartJS = try WebTemplateLoader.shared.loadJavaScript(named: "protein-chart")
 
             proteinChartJS = proteinChartJS.replacingOccurrences(of: "{{PLOT_DATA}}", with: plotJSON)
             proteinChartJS = proteinChartJS.replacingOccurrences(of: "{{CHART_TITLE}}", with: chartType.displayName)
+            let bridgeJS = try WebTemplateLoader.shared.loadJavaScript(named: "plot-bridge")
+            let themeJS = try WebTemplateLoader.shared.loadJavaScript(named: "plot-theme")
 
             let substitutions: [String: String] = [
                 "CHART_TITLE": chartType.displayName,
                 "LOADING_MESSAGE": "Loading \(chartType.displayName.lowercased())...",
+                "BACKGROUND_COLOR": isDarkMode ? "#1c1c1e" : "#ffffff",
+                "TEXT_COLOR": isDarkMode ? "#ffffff" : "#000000",
                 "PLOTLY_JS": getInlinePlotlyJS(),
+                "PLOT_BRIDGE_JS": bridgeJS,
+                "PLOT_THEME_JS": themeJS,
                 "PROTEIN_CHART_JS": proteinChartJS
             ]
 
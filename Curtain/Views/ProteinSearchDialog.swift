@@ -460,13 +460,15 @@ struct ProteinSearchDialog: View {
                 // Update the binding so the volcano plot sees the new selectedMap
                 curtainData = localCurtainData
 
-                if searchList != nil {
+                if let searchList = searchList {
                     // Re-post the refresh notification now that the binding is updated
                     NotificationCenter.default.post(
                         name: NSNotification.Name("VolcanoPlotRefresh"),
                         object: nil,
                         userInfo: ["reason": "searchUpdate"]
                     )
+                    // The page keeps the highlight across the refresh's in-place update
+                    PlotlyCoordinator.getCurrentBridgeService()?.highlightProteins(Array(searchList.proteinIds))
                     isPresented = false
                 }
                 // If searchList is nil, errorMessage is already set by searchManager
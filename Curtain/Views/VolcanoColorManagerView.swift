@@ -85,6 +85,10 @@ struct VolcanoColorManagerView: View {
     
     @State private var volcanoGroups: [VolcanoGroupColorInfo] = []
     @State private var searchText = ""
+
+    /// Viewing preferences, not part of the curtain; shared with the protein charts
+    @AppStorage("plotColorPalette") private var colorPalette = "default"
+    @AppStorage("plotGroupSymbols") private var groupSymbols = false
     
     var filteredGroups: [VolcanoGroupColorInfo] {
         if searchText.isEmpty {
@@ -113,6 +117,25 @@ struct VolcanoColorManagerView: View {
                 .padding()
                 .background(Color(.systemGray6))
                 
+                // Accessible display options
+                VStack(alignment: .leading, spacing: 8) {
+                    Picker("Palette", selection: $colorPalette) {
+                        Text("Group Colors").tag("default")
+                        Text("Okabe–Ito").tag("okabe-ito")
+                        Text("High Contrast").tag("high-contrast")
+                    }
+                    .pickerStyle(.segmented)
+                    
+                    Toggle("Marker symbol per group", isOn: $groupSymbols)
+                        .font(.subheadline)
+                    
+                    Text("Display only; the colors below are still what is saved with the curtain")
+                        .font(.caption)
+                        .foregroundColor(.secondary)
+                }
+                .padding(.horizontal)
+                .padding(.vertical, 8)
+                
                 // Search Bar
                 if !volcanoGroups.isEmpty {
                     HStack {
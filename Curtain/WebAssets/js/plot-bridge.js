@@ -0,0 +1,111 @@
+// Shared messaging between native and the plot pages.
+//
+// Events go out through PlotBridge.post(). Commands from native arrive through
+// PlotBridge.receive() as envelopes of the form
+//   { v: 1, id: '<correlation id>', target: 'VolcanoPlot', command: 'resetView', args: [] }
+// and every envelope gets exactly one reply on the bridgeResponse handler:
+//   { v: 1, id, ok: true, result }  or  { v: 1, id, ok: false, error: { code, message } }
+if (!window.PlotBridge) {
+    const PROTOCOL_VERSION = 1;
+    const RESPONSE_HANDLER = 'bridgeResponse';
+
+    const targets = {};
+
+    window.PlotBridge = {
+        version: PROTOCOL_VERSION,
+
+        hasHandler: function(name) {
+            return !!(window.webkit && window.webkit.messageHandlers && window.webkit.messageHandlers[name]);
+        },
+
+        // Strings are posted as-is so existing handlers such as plotReady keep their format
+        post: function(name, payload) {
+            if (!this.hasHandler(name)) return false;
+
+            const body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+            window.webkit.messageHandlers[name].postMessage(body);
+            return true;
+        },
+
+        registerTarget: function(name, target) {
+            targets[name] = target;
+        },
+
+        receive: function(envelope) {
+            let request = envelope;
+            if (typeof envelope === 'string') {
+                try {
+                    request = JSON.parse(envelope);
+                } catch (error) {
+                    this.replyError(null, 'invalidRequest', 'Envelope is not valid JSON');
+                    return;
+                }
+            }
+
+            if (!request || typeof request !== 'object' || !request.id) {
+                this.replyError(null, 'invalidRequest', 'Envelope must carry an id');
+                return;
+            }
+
+            if (request.v !== PROTOCOL_VERSION) {
+                this.replyError(request.id, 'unsupportedVersion',
+                    'Protocol version ' + request.v + ' is not supported (expected ' + PROTOCOL_VERSION + ')');
+                return;
+            }
+
+            const target = targets[request.target];
+            if (!target) {
+                this.replyError(request.id, 'unknownTarget', 'No target registered as ' + request.target);
+                return;
+            }
+
+            const handler = target[request.command];
+            if (typeof handler !== 'function') {
+                this.replyError(request.id, 'unknownCommand', request.target + ' has no command ' + request.command);
+                return;
+            }
+
+            let result;
+            try {
+                result = handler.apply(target, Array.isArray(request.args) ? request.args : []);
+            } catch (error) {
+                this.replyError(request.id, 'commandFailed', error.message || String(error));
+                return;
+            }
+
+            Promise.resolve(result)
+                .then(value => this.replyResult(request.id, value))
+                .catch(error => this.replyError(request.id, 'commandFailed', (error && error.message) || String(error)));
+        },
+
+        replyResult: function(id, value) {
+            this.post(RESPONSE_HANDLER, {
+                v: PROTOCOL_VERSION,
+                id: id,
+                ok: true,
+                result: this.toSerializable(value)
+            });
+        },
+
+        replyError: function(id, code, message) {
+            this.post(RESPONSE_HANDLER, {
+                v: PROTOCOL_VERSION,
+                id: id,
+                ok: false,
+                error: { code: code, message: message }
+            });
+        },
+
+        // Plotly calls resolve with the graph div, which cannot be serialised
+        toSerializable: function(value) {
+            if (value === undefined || (value && value.nodeType !== undefined)) {
+                return null;
+            }
+            try {
+                return JSON.parse(JSON.stringify(value));
+            } catch (error) {
+                return null;
+            }
+        }
+    };
+}
@@ -0,0 +1,120 @@
+// Levelled logging shared by the plot pages.
+//
+// Every entry, whatever the level, is kept in a bounded ring buffer so a dump
+// taken after something has gone wrong still has the geometry tracing leading up
+// to it. The level only decides what is echoed to the console and, for warnings
+// and errors, posted to native on the diagnostics handler as it happens:
+//   { type: 'log', entry: { time, level, scope, message, details } }
+// The default level is 'warn', which keeps the console quiet.
+if (!window.PlotLogger) {
+    const LEVELS = ['debug', 'info', 'warn', 'error', 'off'];
+    const DEFAULT_LEVEL = 'warn';
+    const FORWARD_LEVEL = 'warn';
+    const BUFFER_SIZE = 200;
+    const DIAGNOSTICS_HANDLER = 'diagnostics';
+
+    const state = {
+        level: LEVELS.indexOf(DEFAULT_LEVEL),
+        entries: new Array(BUFFER_SIZE),
+        next: 0,
+        count: 0
+    };
+
+    // Details go into the buffer as plain data so a dump can be JSON-encoded
+    const toPlain = details => {
+        if (details === undefined) return null;
+        if (details instanceof Error) {
+            return { name: details.name, message: details.message };
+        }
+        try {
+            return JSON.parse(JSON.stringify(details));
+        } catch (error) {
+            return String(details);
+        }
+    };
+
+    window.PlotLogger = {
+        levels: LEVELS.slice(),
+
+        setLevel: function(level) {
+            const index = LEVELS.indexOf(level);
+            if (index === -1) {
+                throw new Error('Unknown log level: ' + level + ' (expected ' + LEVELS.join(', ') + ')');
+            }
+            state.level = index;
+            return level;
+        },
+
+        getLevel: function() {
+            return LEVELS[state.level];
+        },
+
+        isEnabled: function(level) {
+            const index = LEVELS.indexOf(level);
+            return index !== -1 && index < LEVELS.indexOf('off') && index >= state.level;
+        },
+
+        log: function(level, scope, message, details) {
+            if (LEVELS.indexOf(level) === -1 || level === 'off') return;
+
+            const entry = {
+                time: new Date().toISOString(),
+                level: level,
+                scope: scope,
+                message: message,
+                details: toPlain(details)
+            };
+
+            state.entries[state.next] = entry;
+            state.next = (state.next + 1) % BUFFER_SIZE;
+            state.count = Math.min(state.count + 1, BUFFER_SIZE);
+
+            if (!this.isEnabled(level)) return;
+
+            const method = level === 'debug' ? 'log' : level;
+            if (details === undefined) {
+                console[method]('[' + scope + '] ' + message);
+            } else {
+                console[method]('[' + scope + '] ' + message, details);
+            }
+
+            if (LEVELS.indexOf(level) >= LEVELS.indexOf(FORWARD_LEVEL) && window.PlotBridge) {
+                window.PlotBridge.post(DIAGNOSTICS_HANDLER, { type: 'log', entry: entry });
+            }
+        },
+
+        debug: function(scope, message, details) {
+            this.log('debug', scope, message, details);
+        },
+
+        info: function(scope, message, details) {
+            this.log('info', scope, message, details);
+        },
+
+        warn: function(scope, message, details) {
+            this.log('warn', scope, message, details);
+        },
+
+        error: function(scope, message, details) {
+            this.log('error', scope, message, details);
+        },
+
+        // Oldest first; limit keeps only the most recent entries
+        getEntries: function(limit) {
+            const start = (state.next - state.count + BUFFER_SIZE) % BUFFER_SIZE;
+            const entries = [];
+            for (let i = 0; i < state.count; i++) {
+                entries.push(state.entries[(start + i) % BUFFER_SIZE]);
+            }
+            return typeof limit === 'number' && limit >= 0 ? entries.slice(entries.length - limit) : entries;
+        },
+
+        clear: function() {
+            state.entries = new Array(BUFFER_SIZE);
+            state.next = 0;
+            state.count = 0;
+        },
+
+        capacity: BUFFER_SIZE
+    };
+}
@@ -0,0 +1,223 @@
+// Light/dark theming and colour-blind-safe palettes shared by the plot pages.
+//
+// Each page hands in its own light/dark colour table (matching the colours the
+// Swift generators bake in) and gets back relayout/restyle updates for the live
+// plot. Only colours that belong to a theme are swapped; a colour the user picked
+// for a label or shape is left as it is.
+if (!window.PlotTheme) {
+    const BLACK_ALIASES = ['black', '#000', '#000000', 'rgb(0,0,0)'];
+    const WHITE_ALIASES = ['white', '#fff', '#ffffff', 'rgb(255,255,255)'];
+    const THEME_KEYS = ['background', 'text', 'grid', 'zeroline', 'threshold'];
+
+    const normalizeColor = color => typeof color === 'string' ? color.replace(/\s+/g, '').toLowerCase() : null;
+
+    // Okabe–Ito without its black, which disappears against the dark theme
+    const COLOR_PALETTES = {
+        'okabe-ito': ['#E69F00', '#56B4E9', '#009E73', '#F0E442', '#0072B2', '#D55E00', '#CC79A7'],
+        'high-contrast': ['#004488', '#DDAA33', '#BB5566', '#009988', '#EE3377', '#33BBEE', '#EE7733']
+    };
+
+    // Neutral (grey) groups such as the background keep the circle
+    const GROUP_SYMBOLS = ['square', 'diamond', 'triangle-up', 'triangle-down', 'cross', 'x', 'star', 'hexagon', 'pentagon', 'hourglass'];
+
+    const parseColor = color => {
+        const value = normalizeColor(color);
+        if (!value) return null;
+
+        let match = /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(value);
+        if (match) {
+            let hex = match[1];
+            if (hex.length === 3) hex = hex.split('').map(c => c + c).join('');
+            return {
+                r: parseInt(hex.slice(0, 2), 16),
+                g: parseInt(hex.slice(2, 4), 16),
+                b: parseInt(hex.slice(4, 6), 16),
+                a: hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1
+            };
+        }
+
+        match = /^rgba?\((\d+),(\d+),(\d+)(?:,([\d.]+))?\)$/.exec(value);
+        if (match) {
+            return {
+                r: Number(match[1]),
+                g: Number(match[2]),
+                b: Number(match[3]),
+                a: match[4] !== undefined ? Number(match[4]) : 1
+            };
+        }
+        return null;
+    };
+
+    window.PlotTheme = {
+        // options: { mode: 'light' | 'dark' | 'auto', palette: { background, text, grid, zeroline, threshold } }
+        resolve: function(options, themes) {
+            const settings = options || {};
+            let mode = settings.mode || 'auto';
+            if (mode === 'auto') {
+                mode = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+            }
+            if (!themes[mode]) {
+                throw new Error('Unknown theme mode: ' + mode);
+            }
+
+            const theme = Object.assign({ mode: mode }, themes[mode]);
+            const palette = settings.palette || {};
+            THEME_KEYS.forEach(key => {
+                if (typeof palette[key] === 'string') {
+                    theme[key] = palette[key];
+                }
+            });
+            return theme;
+        },
+
+        // Every colour any theme (or the previously applied palette) may have written
+        collectThemeColors: function(themes, previous) {
+            const colors = new Set(BLACK_ALIASES.concat(WHITE_ALIASES));
+            Object.keys(themes).map(mode => themes[mode]).concat(previous ? [previous] : []).forEach(theme => {
+                THEME_KEYS.forEach(key => {
+                    if (theme[key]) colors.add(normalizeColor(theme[key]));
+                });
+            });
+            return colors;
+        },
+
+        applyPageColors: function(theme) {
+            const root = document.documentElement;
+            root.style.setProperty('--background-color', theme.background);
+            root.style.setProperty('--text-color', theme.text);
+            root.style.colorScheme = theme.mode;
+        },
+
+        buildRelayout: function(layout, theme, themeColors) {
+            const update = {};
+            const swap = (key, value, color) => {
+                if (value === undefined || themeColors.has(normalizeColor(value))) {
+                    update[key] = color;
+                }
+            };
+
+            update['font.color'] = theme.text;
+            if (layout.title && layout.title.font) {
+                swap('title.font.color', layout.title.font.color, theme.text);
+            }
+            if (layout.legend && layout.legend.font) {
+                swap('legend.font.color', layout.legend.font.color, theme.text);
+            }
+            // Transparent backgrounds let the page colour show through and stay that way
+            ['paper_bgcolor', 'plot_bgcolor'].forEach(key => {
+                if (layout[key] !== undefined && themeColors.has(normalizeColor(layout[key]))) {
+                    update[key] = theme.background;
+                }
+            });
+
+            Object.keys(layout).filter(key => /^[xy]axis\d*$/.test(key)).forEach(key => {
+                const axis = layout[key] || {};
+                swap(key + '.gridcolor', axis.gridcolor, theme.grid);
+                swap(key + '.linecolor', axis.linecolor, theme.text);
+                swap(key + '.tickfont.color', axis.tickfont && axis.tickfont.color, theme.text);
+                swap(key + '.title.font.color', axis.title && axis.title.font && axis.title.font.color, theme.text);
+                if (axis.zerolinecolor !== undefined) {
+                    swap(key + '.zerolinecolor', axis.zerolinecolor, theme.zeroline);
+                }
+            });
+
+            (layout.annotations || []).forEach((annotation, index) => {
+                const prefix = 'annotations[' + index + '].';
+                swap(prefix + 'font.color', annotation.font && annotation.font.color, theme.text);
+                if (annotation.showarrow !== false) {
+                    swap(prefix + 'arrowcolor', annotation.arrowcolor, theme.text);
+                }
+            });
+
+            (layout.shapes || []).forEach((shape, index) => {
+                const key = 'shapes[' + index + '].line.color';
+                const color = shape.line && shape.line.color;
+                if (typeof shape.name === 'string' && shape.name.indexOf('threshold-') === 0) {
+                    update[key] = theme.threshold;
+                } else if (color !== undefined) {
+                    swap(key, color, theme.text);
+                }
+            });
+
+            return update;
+        },
+
+        // For annotation lists pushed wholesale (undo, add), where per-index keys don't apply
+        recolorAnnotations: function(annotations, theme, themeColors) {
+            const isThemed = value => value === undefined || themeColors.has(normalizeColor(value));
+            (annotations || []).forEach(annotation => {
+                if (isThemed(annotation.font && annotation.font.color)) {
+                    annotation.font = Object.assign({}, annotation.font, { color: theme.text });
+                }
+                if (annotation.showarrow !== false && isThemed(annotation.arrowcolor)) {
+                    annotation.arrowcolor = theme.text;
+                }
+            });
+            return annotations;
+        },
+
+        hasPalette: function(name) {
+            return name === 'default' || !!COLOR_PALETTES[name];
+        },
+
+        isNeutralColor: function(color) {
+            const rgb = parseColor(color);
+            return !!rgb && Math.max(rgb.r, rgb.g, rgb.b) - Math.min(rgb.r, rgb.g, rgb.b) < 32;
+        },
+
+        // Distinct group colours map to palette entries (and symbols) in order of
+        // first appearance, so groups that shared a colour still share one.
+        // Returns a lookup from the original colour to { color, symbol }.
+        buildPaletteMapping: function(colors, paletteName) {
+            const palette = COLOR_PALETTES[paletteName] || null;
+            const mapping = new Map();
+            let groupIndex = 0;
+
+            colors.forEach(color => {
+                const key = normalizeColor(color);
+                if (key === null || mapping.has(key)) return;
+
+                if (this.isNeutralColor(color)) {
+                    mapping.set(key, { color: color, symbol: 'circle' });
+                    return;
+                }
+
+                let mapped = color;
+                if (palette) {
+                    mapped = palette[groupIndex % palette.length];
+                    const rgb = parseColor(color);
+                    const target = parseColor(mapped);
+                    if (rgb && rgb.a < 1) {
+                        mapped = 'rgba(' + target.r + ',' + target.g + ',' + target.b + ',' + rgb.a + ')';
+                    }
+                }
+                mapping.set(key, { color: mapped, symbol: GROUP_SYMBOLS[groupIndex % GROUP_SYMBOLS.length] });
+                groupIndex++;
+            });
+
+            return {
+                lookup: color => mapping.get(normalizeColor(color)) || { color: color, symbol: 'circle' }
+            };
+        },
+
+        // Outlines and error bars that were drawn in the theme's ink colour
+        buildRestyle: function(data, theme, themeColors) {
+            const updates = [];
+            (data || []).forEach((trace, index) => {
+                const update = {};
+                const errorColor = trace.error_y && trace.error_y.color;
+                const outlineColor = trace.marker && trace.marker.line && trace.marker.line.color;
+                if (typeof errorColor === 'string' && themeColors.has(normalizeColor(errorColor))) {
+                    update['error_y.color'] = theme.text;
+                }
+                if (typeof outlineColor === 'string' && themeColors.has(normalizeColor(outlineColor))) {
+                    update['marker.line.color'] = theme.text;
+                }
+                if (Object.keys(update).length > 0) {
+                    updates.push({ update: update, index: index });
+                }
+            });
+            return updates;
+        }
+    };
+}
@@ -2,6 +2,7 @@ if (typeof Plotly === 'undefined') {
     console.error('Plotly.js failed to load');
     document.getElementById('loading').style.display = 'none';
     document.getElementById('error').style.display = 'block';
+    PlotBridge.post('plotError', 'Plotly.js failed to load');
 } else {
     Plotly.setPlotConfig({
         displayModeBar: true,
@@ -11,25 +12,250 @@ if (typeof Plotly === 'undefined') {
 
     const plotData = {{PLOT_DATA}};
 
-    document.addEventListener('DOMContentLoaded', function() {
-        try {
-            document.getElementById('loading').style.display = 'none';
-            document.getElementById('error').style.display = 'none';
-            document.getElementById('plot').style.display = 'block';
+    const BRACKET_SHAPE_NAME = 'condition-bracket';
+
+    // Same colours ProteinChartGenerator uses for the chart layouts
+    const PROTEIN_CHART_THEMES = {
+        light: { background: '#ffffff', text: '#000000', grid: '#e0e0e0', zeroline: '#000000', threshold: '#000000' },
+        dark: { background: '#1c1c1e', text: '#ffffff', grid: '#404040', zeroline: '#606060', threshold: '#ffffff' }
+    };
+
+    let currentTheme = null;
+
+    const paletteState = {
+        name: 'default',
+        symbols: false,
+        originals: null
+    };
+
+    let currentChart = null;
+
+    window.ProteinChart = {
+        initialize: function() {
+            try {
+                document.getElementById('loading').style.display = 'none';
+                document.getElementById('error').style.display = 'none';
+                document.getElementById('plot').style.display = 'block';
+
+                Plotly.newPlot('plot', plotData.data, plotData.layout, plotData.config)
+                    .then(() => {
+                        currentChart = document.getElementById('plot');
+                        this.setupEventHandlers();
+                        if (paletteState.name !== 'default' || paletteState.symbols) {
+                            this.applyPalette();
+                        }
+                        console.log('{{CHART_TITLE}} loaded successfully');
+                        this.notifyReady();
+                    })
+                    .catch(error => {
+                        console.error('Error creating chart:', error);
+                        this.showError('Failed to create chart: ' + error.message);
+                    });
+            } catch (error) {
+                console.error('Error in initialization:', error);
+                this.showError('JavaScript error: ' + error.message);
+            }
+        },
+
+        setupEventHandlers: function() {
+            if (!currentChart) return;
+
+            currentChart.on('plotly_click', (data) => {
+                if (data.points && data.points.length > 0) {
+                    const point = data.points[0];
+                    const customdata = point.customdata || {};
+                    const clickData = {
+                        condition: customdata.condition || (point.data && point.data.name) || String(point.x),
+                        sample: customdata.sample || null,
+                        value: point.y,
+                        traceType: point.data ? point.data.type : null,
+                        pointIndex: point.pointIndex !== undefined ? point.pointIndex : point.pointNumber,
+                        screenX: data.event ? data.event.clientX : null,
+                        screenY: data.event ? data.event.clientY : null
+                    };
+
+                    this.notifyPointClicked(clickData);
+                }
+            });
+        },
+
+        updateChart: function(newData) {
+            if (!currentChart) return;
+
+            try {
+                plotData.config = newData.config || plotData.config;
+                return Plotly.react(currentChart, newData.data, newData.layout, plotData.config)
+                    .then(() => {
+                        paletteState.originals = null;
+                        if (paletteState.name !== 'default' || paletteState.symbols) {
+                            return this.applyPalette();
+                        }
+                    })
+                    .then(() => {
+                        this.notifyUpdated();
+                    })
+                    .catch(error => {
+                        console.error('Error updating chart:', error);
+                        this.showError('Failed to update chart: ' + error.message);
+                    });
+            } catch (error) {
+                console.error('Error in updateChart:', error);
+                this.showError('JavaScript error: ' + error.message);
+            }
+        },
+
+        // Brackets are the only paper-referenced shapes native regenerates on a
+        // settings change; separators and other shapes are left as they are.
+        setBrackets: function(bracketShapes, topMargin) {
+            if (!currentChart) return;
+
+            const existing = (currentChart.layout.shapes || []).filter(shape => shape.name !== BRACKET_SHAPE_NAME);
+            const brackets = (bracketShapes || []).map(shape => Object.assign({}, shape, { name: BRACKET_SHAPE_NAME }));
+            const update = { shapes: existing.concat(brackets) };
+            if (typeof topMargin === 'number') {
+                update['margin.t'] = topMargin;
+            }
+
+            return Plotly.relayout(currentChart, update)
+                .then(() => this.notifyUpdated())
+                .catch(error => this.notifyError('Failed to update brackets: ' + error.message));
+        },
+
+        setYAxisLimits: function(min, max) {
+            if (!currentChart) return;
+
+            let update;
+            if ((min === null || min === undefined) && (max === null || max === undefined)) {
+                update = { 'yaxis.autorange': true };
+            } else {
+                const range = currentChart._fullLayout.yaxis.range;
+                update = {
+                    'yaxis.range': [
+                        min === null || min === undefined ? range[0] : min,
+                        max === null || max === undefined ? range[1] : max
+                    ]
+                };
+            }
+
+            return Plotly.relayout(currentChart, update)
+                .then(() => this.notifyUpdated())
+                .catch(error => this.notifyError('Failed to update y-axis limits: ' + error.message));
+        },
 
-            Plotly.newPlot('plot', plotData.data, plotData.layout, plotData.config)
-                .then(() => {
-                    console.log('{{CHART_TITLE}} loaded successfully');
-                })
+        setTheme: function(options) {
+            if (!currentChart) return;
+
+            const theme = PlotTheme.resolve(options, PROTEIN_CHART_THEMES);
+            const themeColors = PlotTheme.collectThemeColors(PROTEIN_CHART_THEMES, currentTheme);
+            currentTheme = theme;
+
+            PlotTheme.applyPageColors(theme);
+            const restyles = PlotTheme.buildRestyle(currentChart.data, theme, themeColors)
+                .map(entry => Plotly.restyle(currentChart, entry.update, [entry.index]));
+
+            return Promise.all(restyles)
+                .then(() => Plotly.relayout(currentChart, PlotTheme.buildRelayout(currentChart.layout, theme, themeColors)))
+                .then(() => ({ mode: theme.mode }))
                 .catch(error => {
-                    console.error('Error creating chart:', error);
-                    document.getElementById('plot').style.display = 'none';
-                    document.getElementById('error').style.display = 'flex';
+                    this.notifyError('Failed to apply theme: ' + error.message);
+                    throw error;
+                });
+        },
+
+        setColorPalette: function(name, options) {
+            if (!PlotTheme.hasPalette(name)) {
+                throw new Error('Unknown colour palette: ' + name);
+            }
+            paletteState.name = name;
+            paletteState.symbols = !!(options && options.symbols);
+            return this.applyPalette();
+        },
+
+        // Bar charts colour each bar through a colour array and violins use
+        // fillcolor alongside the point colour, so all of them are remapped.
+        applyPalette: function() {
+            if (!currentChart) return;
+
+            if (!paletteState.originals) {
+                paletteState.originals = currentChart.data.map(trace => {
+                    const marker = trace.marker || {};
+                    return {
+                        color: marker.color,
+                        symbol: marker.symbol,
+                        fillcolor: trace.fillcolor,
+                        unselectedColor: trace.unselected && trace.unselected.marker ? trace.unselected.marker.color : undefined
+                    };
                 });
-        } catch (error) {
-            console.error('Error in initialization:', error);
+            }
+
+            const allColors = [];
+            paletteState.originals.forEach(original => {
+                [].concat(original.color, original.fillcolor).forEach(color => {
+                    if (typeof color === 'string') allColors.push(color);
+                });
+            });
+            const mapping = PlotTheme.buildPaletteMapping(allColors, paletteState.name);
+            const mapColor = color => typeof color === 'string' ? mapping.lookup(color).color : color;
+
+            const restyles = currentChart.data.map((trace, index) => {
+                const original = paletteState.originals[index];
+                const update = {};
+                if (Array.isArray(original.color)) {
+                    update['marker.color'] = [original.color.map(mapColor)];
+                } else if (typeof original.color === 'string') {
+                    update['marker.color'] = mapColor(original.color);
+                }
+                if (typeof original.fillcolor === 'string') {
+                    update.fillcolor = mapColor(original.fillcolor);
+                }
+                if (typeof original.unselectedColor === 'string') {
+                    update['unselected.marker.color'] = mapColor(original.unselectedColor);
+                }
+                // Bars have no marker symbol
+                if (trace.type !== 'bar') {
+                    const symbolFor = color => paletteState.symbols && typeof color === 'string'
+                        ? mapping.lookup(color).symbol
+                        : (original.symbol || 'circle');
+                    update['marker.symbol'] = Array.isArray(original.color)
+                        ? [original.color.map(symbolFor)]
+                        : symbolFor(original.color);
+                }
+                return Plotly.restyle(currentChart, update, [index]);
+            });
+
+            return Promise.all(restyles)
+                .then(() => ({ palette: paletteState.name, symbols: paletteState.symbols }));
+        },
+
+        showError: function(message) {
             document.getElementById('loading').style.display = 'none';
-            document.getElementById('error').style.display = 'flex';
+            document.getElementById('plot').style.display = 'none';
+            const errorDiv = document.getElementById('error');
+            errorDiv.innerHTML = '<div><h3>Unable to load chart</h3><p>' + message + '</p></div>';
+            errorDiv.style.display = 'flex';
+            this.notifyError(message);
+        },
+
+        notifyReady: function() {
+            PlotBridge.post('plotReady', 'ready');
+        },
+
+        notifyUpdated: function() {
+            PlotBridge.post('plotUpdated', 'updated');
+        },
+
+        notifyError: function(message) {
+            PlotBridge.post('plotError', message);
+        },
+
+        notifyPointClicked: function(clickData) {
+            PlotBridge.post('pointClicked', clickData);
         }
+    };
+
+    PlotBridge.registerTarget('ProteinChart', window.ProteinChart);
+
+    document.addEventListener('DOMContentLoaded', function() {
+        window.ProteinChart.initialize();
     });
 }
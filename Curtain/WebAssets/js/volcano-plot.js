@@ -1,12 +1,10 @@
 // Check if Plotly loaded successfully
 if (typeof Plotly === 'undefined') {
-    console.error('Plotly.js failed to load');
+    PlotLogger.error('volcano', 'Plotly.js failed to load');
     document.getElementById('loading').style.display = 'none';
     document.getElementById('error').style.display = 'block';
     document.getElementById('error').innerHTML = '<div><h3>Plot Library Error</h3><p>Unable to load plotting library. Please try again.</p></div>';
-    if (window.webkit && window.webkit.messageHandlers && window.webkit.messageHandlers.plotError) {
-        window.webkit.messageHandlers.plotError.postMessage('Plotly.js failed to load');
-    }
+    PlotBridge.post('plotError', 'Plotly.js failed to load');
 } else {
     Plotly.setPlotConfig({
         displayModeBar: true,
@@ -17,14 +15,194 @@ if (typeof Plotly === 'undefined') {
     const plotData = {{PLOT_DATA}};
     const editMode = {{EDIT_MODE}};
 
+    const WEBGL_POINT_THRESHOLD = 20000;
+    const TAP_RADIUS = 12;
+    const MAX_TAP_CANDIDATES = 20;
+
+    // Journal figure widths in inches. Export layouts are sized in points, so a
+    // preset's fontSize lands in the figure at that point size.
+    const EXPORT_PRESETS = {
+        'single-column': { widthInches: 3.5, aspectRatio: 0.8, fontSize: 7 },
+        'one-and-half-column': { widthInches: 5.5, aspectRatio: 0.7, fontSize: 8 },
+        'double-column': { widthInches: 7.2, aspectRatio: 0.6, fontSize: 8 }
+    };
+    const EXPORT_POINTS_PER_INCH = 72;
+    const DEFAULT_EXPORT_DPI = 300;
+
+    const GRID_PANEL_GAP = { x: 0.06, y: 0.12 };
+    const GRID_LINK_TRACE_NAME = 'Linked protein';
+
+    const VIEW_MODES = ['volcano', 'rank', 'histogram'];
+    const HISTOGRAM_HIGHLIGHT_TRACE_NAME = 'Highlighted proteins';
+    const DEFAULT_HISTOGRAM_BIN_SIZE = 0.05;
+
+    const HOVER_CARD_FIELDS = ['gene', 'id', 'site', 'comparison', 'log2FC', 'pValue', 'selections'];
+    const HOVER_CARD_OFFSET = 14;
+
+    const DRAW_MODES = ['drawrect', 'drawclosedpath', 'drawline'];
+    const USER_SHAPE_PREFIX = 'user-shape-';
+    const USER_SHAPE_FILL = 'rgba(127,127,127,0.15)';
+    const USER_SHAPE_KEYS = ['name', 'type', 'xref', 'yref', 'x0', 'x1', 'y0', 'y1', 'path', 'line', 'fillcolor', 'opacity', 'layer', 'label'];
+
+    const DENSITY_TRACE_NAME = 'Background density';
+    const DEFAULT_DENSITY_LEVELS = 12;
+    const DEFAULT_DENSITY_COLORSCALE = [[0, 'rgba(150,150,150,0)'], [1, 'rgba(110,110,110,0.85)']];
+
+    // Same colours PlotlyChartGenerator uses for the volcano layout
+    const VOLCANO_THEMES = {
+        light: { background: '#ffffff', text: '#000000', grid: '#e0e0e0', zeroline: '#000000', threshold: 'rgb(21,4,4)' },
+        dark: { background: '#1c1c1e', text: '#e0e0e0', grid: '#555555', zeroline: '#e0e0e0', threshold: '#a0a0a0' }
+    };
+
     let currentPlot = null;
     let selectedPoints = [];
     let annotations = plotData.layout.annotations || [];
 
     const annotationMap = new Map();
 
-    console.log('Initial annotations from plotData:', annotations);
-    console.log('Number of annotations:', annotations.length);
+    const annotationEditing = {
+        enabled: false,
+        listenerAttached: false
+    };
+
+    let measureContext = null;
+
+    const renderState = {
+        requestedMode: plotData.renderMode || 'auto',
+        activeMode: 'svg',
+        webglAvailable: undefined
+    };
+
+    const autoLayout = {
+        onZoom: false,
+        options: null,
+        bounds: null,
+        pending: null
+    };
+
+    const thresholdState = {
+        enabled: false,
+        listenersAttached: false,
+        dragging: null,
+        log2FCCutoff: null,
+        pCutoff: null,
+        frame: null
+    };
+
+    const highlightState = {
+        ids: null,
+        options: null,
+        originals: null,
+        previousRanges: null
+    };
+
+    const themeState = {
+        theme: null,
+        colors: null
+    };
+
+    const paletteState = {
+        name: 'default',
+        symbols: false,
+        originals: null
+    };
+
+    const navigationState = {
+        traceIndex: null,
+        order: null,
+        position: -1
+    };
+
+    // Grid mode keeps the single-plot figure in source and renders one panel per
+    // comparison from it; pointIndex maps a protein id to its point in each panel.
+    const gridState = {
+        enabled: false,
+        options: null,
+        source: null,
+        comparisons: [],
+        linkTraces: [],
+        pointIndex: null,
+        pinnedId: null,
+        thresholdsChanged: false
+    };
+
+    // Rank and histogram views are drawn from the volcano figure held in source,
+    // which is put back unchanged (apart from threshold moves) on return.
+    const viewState = {
+        mode: 'volcano',
+        options: null,
+        source: null,
+        thresholdsChanged: false
+    };
+
+    // The HTML card replaces Plotly's hover label for points; on touch a tap pins
+    // it (pinned holds that point) and its Details button opens the point
+    const hoverCardState = {
+        enabled: false,
+        fields: HOVER_CARD_FIELDS.slice(),
+        pin: 'auto',
+        pinned: null
+    };
+
+    // Shapes the user draws are named user-shape-N so they never mix with the
+    // generated threshold lines. lastSynced is the list native last received, which
+    // is also what tells our own relayouts apart from user edits.
+    const userShapeState = {
+        lastSynced: null
+    };
+
+    // Counts inside the current axis ranges, recomputed at most once per frame;
+    // last is the posted JSON so unchanged summaries are not re-sent
+    const summaryState = {
+        overlay: false,
+        frame: null,
+        last: null
+    };
+
+    // Large datasets arrive as an empty skeleton plus appendPoints batches;
+    // plotData.stream carries the totals so progress can be reported
+    const streamState = {
+        expected: plotData.stream ? plotData.stream.totalPoints : null,
+        traceTotals: plotData.stream && plotData.stream.traces ? plotData.stream.traces : {},
+        received: 0,
+        loaded: {},
+        stale: false
+    };
+
+    // Density mode swaps the background traces for a contour layer; source holds the
+    // full traces while it is drawn (active), enabled is what was asked for.
+    const densityState = {
+        enabled: false,
+        active: false,
+        options: null,
+        source: null
+    };
+
+    const viewportState = {
+        userRanges: null,
+        defaultRanges: null
+    };
+
+    // Undo/redo works on whole-state snapshots. baseline is the last committed
+    // state, so edits Plotly applies before we hear about them (annotation drags)
+    // still get a correct "before".
+    const historyState = {
+        undoStack: [],
+        redoStack: [],
+        baseline: null,
+        groupDepth: 0,
+        groupLabel: null,
+        applying: false,
+        limit: 100
+    };
+
+    const selectionState = {
+        combineMode: 'new',
+        targetGroup: null,
+        modifiers: { shift: false, alt: false }
+    };
+
+    PlotLogger.debug('annotations', 'Initial annotations from plotData', { count: annotations.length });
 
     window.VolcanoPlot = {
         initialize: function() {
@@ -33,26 +211,32 @@ if (typeof Plotly === 'undefined') {
                 document.getElementById('error').style.display = 'none';
                 document.getElementById('plot').style.display = 'block';
 
-                Plotly.newPlot('plot', plotData.data, plotData.layout, plotData.config)
+                Plotly.newPlot('plot', this.applyRenderMode(plotData.data), plotData.layout, plotData.config)
                     .then(() => {
                         currentPlot = document.getElementById('plot');
                         this.initializeAnnotationMap();
                         this.setupEventHandlers();
+                        historyState.baseline = this.captureHistorySnapshot();
+                        userShapeState.lastSynced = JSON.stringify(this.getUserShapes());
+                        // A palette chosen before the plot existed is applied now
+                        if (paletteState.name !== 'default' || paletteState.symbols) {
+                            this.applyPalette();
+                        }
                         this.notifyReady();
                     })
                     .catch(error => {
-                        console.error('Error creating volcano plot:', error);
+                        PlotLogger.error('volcano', 'Error creating volcano plot', error);
                         this.showError('Failed to create volcano plot: ' + error.message);
                     });
             } catch (error) {
-                console.error('Error in initialize:', error);
+                PlotLogger.error('volcano', 'Error in initialize', error);
                 this.showError('JavaScript error: ' + error.message);
             }
         },
 
         getPlotDimensions: function() {
             if (!currentPlot || !currentPlot._fullLayout) {
-                console.log('📊 No plot or layout available');
+                PlotLogger.debug('dimensions', 'No plot or layout available');
                 return null;
             }
 
@@ -66,36 +250,18 @@ if (typeof Plotly === 'undefined') {
             const webViewScrollLeft = html.scrollLeft || body.scrollLeft || 0;
             const webViewScrollTop = html.scrollTop || body.scrollTop || 0;
 
-            console.log('🌐 WebView position in parent view:', {
-                left: webViewRect.left,
-                top: webViewRect.top,
-                width: webViewRect.width,
-                height: webViewRect.height,
-                scrollLeft: webViewScrollLeft,
-                scrollTop: webViewScrollTop
-            });
-
             const plotElementRect = plotDiv.getBoundingClientRect();
             const plotElementOffsetX = plotElementRect.left - webViewRect.left + webViewScrollLeft;
             const plotElementOffsetY = plotElementRect.top - webViewRect.top + webViewScrollTop;
 
-            console.log('📈 Plot element position in WebView:', {
-                offsetX: plotElementOffsetX,
-                offsetY: plotElementOffsetY,
-                width: plotElementRect.width,
-                height: plotElementRect.height
-            });
-
             const xaxis = layout.xaxis;
             const yaxis = layout.yaxis;
 
             if (!xaxis || !yaxis || !xaxis.range || !yaxis.range) {
-                console.log('📊 No axis information available');
+                PlotLogger.debug('dimensions', 'No axis information available');
                 return null;
             }
 
-            console.log('📊 Axis ranges - X:', xaxis.range, 'Y:', yaxis.range);
-
             try {
                 const margin = layout.margin || {};
                 const marginLeft = margin.l || 80;
@@ -103,9 +269,6 @@ if (typeof Plotly === 'undefined') {
                 const marginRight = margin.r || 80;
                 const marginBottom = margin.b || 80;
 
-                console.log('📊 Plotly margins:', margin);
-                console.log('📊 Calculated margins - L:', marginLeft, 'T:', marginTop, 'R:', marginRight, 'B:', marginBottom);
-
                 const xMin = xaxis.range[0];
                 const xMax = xaxis.range[1];
                 const yMin = yaxis.range[0];
@@ -120,8 +283,6 @@ if (typeof Plotly === 'undefined') {
                     y: yaxis.l2p(yMin)
                 };
 
-                console.log('📊 Plot-relative coordinates within element - TopLeft:', plotRelativeTopLeft, 'BottomRight:', plotRelativeBottomRight);
-
                 const plotAreaLeft = marginLeft + plotRelativeTopLeft.x;
                 const plotAreaTop = marginTop + plotRelativeTopLeft.y;
                 const plotAreaRight = marginLeft + plotRelativeBottomRight.x;
@@ -132,8 +293,14 @@ if (typeof Plotly === 'undefined') {
                 const finalPlotRight = webViewRect.left + plotElementOffsetX + plotAreaRight;
                 const finalPlotBottom = webViewRect.top + plotElementOffsetY + plotAreaBottom;
 
-                console.log('📊 Final plot boundaries in parent view coordinates:');
-                console.log('   L=' + finalPlotLeft + ', T=' + finalPlotTop + ', R=' + finalPlotRight + ', B=' + finalPlotBottom);
+                PlotLogger.debug('dimensions', 'Plot boundaries from l2p', {
+                    webView: { left: webViewRect.left, top: webViewRect.top, scrollLeft: webViewScrollLeft, scrollTop: webViewScrollTop },
+                    plotElement: { offsetX: plotElementOffsetX, offsetY: plotElementOffsetY },
+                    margin: { l: marginLeft, t: marginTop, r: marginRight, b: marginBottom },
+                    xRange: xaxis.range,
+                    yRange: yaxis.range,
+                    bounds: { left: finalPlotLeft, top: finalPlotTop, right: finalPlotRight, bottom: finalPlotBottom }
+                });
 
                 return {
                     plotLeft: finalPlotLeft,
@@ -174,7 +341,7 @@ if (typeof Plotly === 'undefined') {
                 };
 
             } catch (error) {
-                console.log('📊 Error using Plotly l2p functions:', error);
+                PlotLogger.warn('dimensions', 'Plotly l2p failed, using the axis domains', error);
 
                 const xDomain = xaxis.domain || [0, 1];
                 const yDomain = yaxis.domain || [0, 1];
@@ -189,8 +356,11 @@ if (typeof Plotly === 'undefined') {
                 const finalPlotRight = webViewRect.left + plotElementOffsetX + plotAreaRight;
                 const finalPlotBottom = webViewRect.top + plotElementOffsetY + plotAreaBottom;
 
-                console.log('📊 Using domain fallback with complete hierarchy - xDomain:', xDomain, 'yDomain:', yDomain);
-                console.log('📊 Domain-based boundaries: L=' + finalPlotLeft + ', T=' + finalPlotTop + ', R=' + finalPlotRight + ', B=' + finalPlotBottom);
+                PlotLogger.debug('dimensions', 'Plot boundaries from axis domains', {
+                    xDomain: xDomain,
+                    yDomain: yDomain,
+                    bounds: { left: finalPlotLeft, top: finalPlotTop, right: finalPlotRight, bottom: finalPlotBottom }
+                });
 
                 return {
                     plotLeft: finalPlotLeft,
@@ -232,13 +402,13 @@ if (typeof Plotly === 'undefined') {
 
         convertPlotToScreen: function(x, y) {
             if (!currentPlot || !currentPlot._fullLayout) {
-                console.log('📊 convertPlotToScreen: No plot available');
+                PlotLogger.debug('coordinates', 'convertPlotToScreen: no plot available');
                 return null;
             }
 
             const dims = this.getPlotDimensions();
             if (!dims) {
-                console.log('📊 convertPlotToScreen: No plot dimensions available');
+                PlotLogger.debug('coordinates', 'convertPlotToScreen: no plot dimensions available');
                 return null;
             }
 
@@ -247,7 +417,7 @@ if (typeof Plotly === 'undefined') {
             const yaxis = layout.yaxis;
 
             if (!xaxis || !yaxis) {
-                console.log('📊 convertPlotToScreen: No axis available');
+                PlotLogger.debug('coordinates', 'convertPlotToScreen: no axis available');
                 return null;
             }
 
@@ -265,13 +435,12 @@ if (typeof Plotly === 'undefined') {
                 const finalScreenX = dims.webView.left + dims.plotElement.offsetX + plotElementX;
                 const finalScreenY = dims.webView.top + dims.plotElement.offsetY + plotElementY;
 
-                console.log('📊 convertPlotToScreen complete hierarchy:');
-                console.log('   Plot coords: (' + x + ',' + y + ')');
-                console.log('   Plot-relative: (' + plotRelativeX + ',' + plotRelativeY + ')');
-                console.log('   Plot element: (' + plotElementX + ',' + plotElementY + ')');
-                console.log('   WebView offset: (' + dims.webView.left + ',' + dims.webView.top + ')');
-                console.log('   Element offset: (' + dims.plotElement.offsetX + ',' + dims.plotElement.offsetY + ')');
-                console.log('   Final screen: (' + finalScreenX + ',' + finalScreenY + ')');
+                PlotLogger.debug('coordinates', 'convertPlotToScreen', {
+                    plot: { x: x, y: y },
+                    plotRelative: { x: plotRelativeX, y: plotRelativeY },
+                    plotElement: { x: plotElementX, y: plotElementY },
+                    screen: { x: finalScreenX, y: finalScreenY }
+                });
 
                 return {
                     x: finalScreenX,
@@ -285,10 +454,10 @@ if (typeof Plotly === 'undefined') {
                 };
 
             } catch (error) {
-                console.log('📊 Error in convertPlotToScreen l2p, using fallback:', error);
+                PlotLogger.warn('coordinates', 'convertPlotToScreen l2p failed, using the plot area', error);
 
                 if (!dims.plotArea) {
-                    console.log('📊 No plot area information for fallback');
+                    PlotLogger.debug('coordinates', 'No plot area information for fallback');
                     return null;
                 }
 
@@ -304,10 +473,12 @@ if (typeof Plotly === 'undefined') {
                 const finalScreenX = dims.webView.left + dims.plotElement.offsetX + dims.plotArea.left + plotAreaX;
                 const finalScreenY = dims.webView.top + dims.plotElement.offsetY + dims.plotArea.top + plotAreaY;
 
-                console.log('📊 convertPlotToScreen fallback with complete hierarchy:');
-                console.log('   Plot coords: (' + x + ',' + y + ') -> normalized: (' + normalizedX + ',' + normalizedY + ')');
-                console.log('   Plot area: (' + plotAreaX + ',' + plotAreaY + ')');
-                console.log('   Final screen: (' + finalScreenX + ',' + finalScreenY + ')');
+                PlotLogger.debug('coordinates', 'convertPlotToScreen fallback', {
+                    plot: { x: x, y: y },
+                    normalized: { x: normalizedX, y: normalizedY },
+                    plotArea: { x: plotAreaX, y: plotAreaY },
+                    screen: { x: finalScreenX, y: finalScreenY }
+                });
 
                 return {
                     x: finalScreenX,
@@ -318,47 +489,90 @@ if (typeof Plotly === 'undefined') {
         },
 
         initializeAnnotationMap: function() {
-            annotationMap.clear();
-
             if (currentPlot && currentPlot.layout && currentPlot.layout.annotations) {
                 annotations = currentPlot.layout.annotations;
-                console.log('Updated annotations from live plot:', annotations.length, 'annotations');
             }
 
-            const dims = this.getPlotDimensions();
-            console.log('Plot dimensions:', dims);
-
+            // Ids from the previous figure would otherwise push a nameless or
+            // duplicate annotation onto a fresh #N suffix on every update
+            annotationMap.clear();
+            const seen = new Set();
             annotations.forEach((annotation, index) => {
-                console.log('Annotation', index, ':', JSON.stringify(annotation, null, 2));
+                let id = this.getAnnotationId(annotation);
+
+                if (!id) {
+                    id = this.generateAnnotationId(this.getAnnotationLabel(annotation), seen);
+                } else if (seen.has(id)) {
+                    const duplicateId = id;
+                    id = this.generateAnnotationId(duplicateId, seen);
+                    this.notifyAnnotationError('duplicate', duplicateId,
+                        'Duplicate annotation id at index ' + index + ', reassigned to ' + id);
+                }
+
+                annotation.name = id;
+                seen.add(id);
             });
 
+            this.reindexAnnotations();
+            PlotLogger.debug('annotations', 'Annotation registry initialized', { entries: annotationMap.size });
+        },
+
+        getAnnotationId: function(annotation) {
+            return annotation.name || annotation.id || null;
+        },
+
+        getAnnotationLabel: function(annotation) {
+            return annotation.title || (annotation.text ? annotation.text.replace(/<[^>]*>/g, '') : 'annotation');
+        },
+
+        generateAnnotationId: function(base, takenIds) {
+            let candidate = base;
+            let suffix = 2;
+            while (takenIds.has(candidate) || annotationMap.has(candidate)) {
+                candidate = base + '#' + suffix;
+                suffix++;
+            }
+            return candidate;
+        },
+
+        // Indices shift whenever an annotation is removed, so the map is always
+        // rebuilt from the annotations array rather than patched.
+        reindexAnnotations: function() {
+            annotationMap.clear();
             annotations.forEach((annotation, index) => {
-                const annotationInfo = {
+                annotationMap.set(annotation.name, {
                     annotation: annotation,
                     index: index
-                };
+                });
+            });
+        },
 
-                let identifier = null;
-                if (annotation.title) {
-                    identifier = annotation.title;
-                    console.log('Mapped annotation by title:', identifier, 'at index', index);
-                } else if (annotation.text) {
-                    identifier = annotation.text.replace(/<[^>]*>/g, '');
-                    console.log('Mapped annotation by text:', identifier, 'at index', index);
-                } else if (annotation.id) {
-                    identifier = annotation.id;
-                    console.log('Mapped annotation by ID:', identifier, 'at index', index);
-                }
+        // Resolves an id, falling back to an exact title match for callers that
+        // still address annotations by title. Ambiguous titles are an error.
+        resolveAnnotation: function(idOrTitle) {
+            const byId = annotationMap.get(idOrTitle);
+            if (byId) {
+                return byId;
+            }
 
-                if (identifier) {
-                    annotationMap.set(identifier, annotationInfo);
-                } else {
-                    console.warn('No identifier found for annotation at index', index);
+            const matches = [];
+            for (const info of annotationMap.values()) {
+                if (info.annotation.title === idOrTitle) {
+                    matches.push(info);
                 }
-            });
+            }
+
+            if (matches.length === 1) {
+                return matches[0];
+            }
 
-            console.log('Annotation map initialized with', annotationMap.size, 'entries');
-            console.log('Map keys:', Array.from(annotationMap.keys()));
+            if (matches.length > 1) {
+                this.notifyAnnotationError('ambiguous', idOrTitle,
+                    matches.length + ' annotations share the title ' + idOrTitle);
+            } else {
+                this.notifyAnnotationError('notFound', idOrTitle, 'No annotation found for ' + idOrTitle);
+            }
+            return null;
         },
 
         setupEventHandlers: function() {
@@ -366,21 +580,33 @@ if (typeof Plotly === 'undefined') {
 
             currentPlot.on('plotly_click', (data) => {
                 if (data.points && data.points.length > 0) {
+                    // Tap disambiguation projects through the single plot's axes
+                    const candidates = gridState.enabled ? [] : this.findPointsNearTap(data.event);
+
+                    if (candidates.length > 1) {
+                        this.notifyPointsClicked({
+                            points: candidates.map(candidate => this.buildClickData(candidate.customdata, candidate.x, candidate.y, data.event, candidate.distance)),
+                            screenX: data.event.clientX,
+                            screenY: data.event.clientY
+                        });
+                        return;
+                    }
+
                     const point = data.points[0];
-                    const clickData = {
-                        proteinId: point.customdata.id,
-                        id: point.customdata.id,
-                        primaryID: point.customdata.id,
-                        proteinName: point.customdata.gene,
-                        log2FC: point.x,
-                        pValue: point.customdata.pValue,
-                        x: point.x,
-                        y: point.y,
-                        screenX: data.event.clientX,
-                        screenY: data.event.clientY
-                    };
+                    if (!point.customdata) return;
+                    if (gridState.enabled) {
+                        gridState.pinnedId = point.customdata.id;
+                        this.linkGridPoint(point.customdata.id);
+                    }
+                    const clickData = this.buildClickData(point.customdata, point.x, point.y, data.event);
+
+                    // With no hover on touch, the first tap shows the card; Details opens the point
+                    if (hoverCardState.enabled && this.shouldPinHoverCard()) {
+                        this.showHoverCard(point, data.event, clickData);
+                        return;
+                    }
 
-                    console.log('Point clicked:', clickData);
+                    PlotLogger.debug('interaction', 'Point clicked', clickData);
                     this.notifyPointClicked(clickData);
                 }
             });
@@ -392,183 +618,3386 @@ if (typeof Plotly === 'undefined') {
             currentPlot.on('plotly_hover', (data) => {
                 if (data.points && data.points.length > 0) {
                     const point = data.points[0];
+                    // Histogram bars carry no customdata and stand for no single protein
+                    if (!point.customdata) return;
+                    if (gridState.enabled) {
+                        this.linkGridPoint(point.customdata.id);
+                    }
+                    if (hoverCardState.enabled && !hoverCardState.pinned) {
+                        this.showHoverCard(point, data.event);
+                    }
                     this.notifyPointHovered(point.customdata);
                 }
             });
-        },
-
-        enableAnnotationEditing: function() {
-        },
 
-        updatePlot: function(newData) {
-            try {
-                if (currentPlot) {
-                    Plotly.react(currentPlot, newData.data, newData.layout, newData.config)
-                        .then(() => {
-                            this.notifyUpdated();
-                        })
-                        .catch(error => {
-                            console.error('Error updating plot:', error);
-                            this.showError('Failed to update plot: ' + error.message);
-                        });
+            currentPlot.on('plotly_unhover', () => {
+                if (gridState.enabled) {
+                    this.linkGridPoint(gridState.pinnedId);
                 }
-            } catch (error) {
-                console.error('Error in updatePlot:', error);
-                this.showError('JavaScript error: ' + error.message);
+                if (!hoverCardState.pinned) {
+                    this.hideHoverCard();
+                }
+            });
+
+            this.setupSelectionHandlers();
+            this.setupKeyboardNavigation();
+
+            if (thresholdState.enabled) {
+                this.setThresholdDragging(true);
             }
+
+            viewportState.defaultRanges = this.readLayoutRanges(plotData.layout);
+
+            // Relayout covers zoom and pan; afterplot catches redraws from new cutoffs, data or views
+            currentPlot.on('plotly_afterplot', () => this.scheduleViewSummary());
+
+            currentPlot.on('plotly_relayout', (eventData) => {
+                this.handleViewportRelayout(eventData);
+                this.handleUserShapeRelayout(eventData);
+                this.scheduleViewSummary();
+                // A pinned card would point at the wrong place after a pan or zoom
+                this.hideHoverCard(true);
+
+                autoLayout.bounds = null;
+                if (!autoLayout.onZoom || !eventData) return;
+
+                const rangeChanged = Object.keys(eventData).some(key => key.indexOf('axis.range') !== -1 || key.indexOf('axis.autorange') !== -1);
+                if (!rangeChanged) return;
+
+                clearTimeout(autoLayout.pending);
+                autoLayout.pending = setTimeout(() => {
+                    this.autoLayoutAnnotations(autoLayout.options);
+                }, 250);
+            });
         },
 
-        addAnnotation: function(annotation) {
-            annotations.push(annotation);
-            this.updateAnnotations();
+        buildClickData: function(customdata, x, y, event, distance) {
+            const position = this.getVolcanoPosition(customdata, x, y);
+            x = position.x;
+            y = position.y;
+            const clickData = {
+                proteinId: customdata.id,
+                id: customdata.id,
+                primaryID: customdata.id,
+                proteinName: customdata.gene,
+                log2FC: x,
+                pValue: customdata.pValue,
+                x: x,
+                y: y,
+                screenX: event ? event.clientX : null,
+                screenY: event ? event.clientY : null
+            };
+            if (distance !== undefined) {
+                clickData.distance = distance;
+            }
+            return clickData;
         },
 
-        updateAnnotations: function() {
-            if (currentPlot) {
-                const update = { 'annotations': annotations };
-                Plotly.relayout(currentPlot, update);
+        // Rank and histogram points are drawn at other coordinates; native always
+        // gets the volcano position (log2FC, -log10 p)
+        getVolcanoPosition: function(customdata, x, y) {
+            if (viewState.mode === 'volcano') {
+                return { x: x, y: y };
             }
+            return {
+                x: typeof customdata.x === 'number' ? customdata.x : (viewState.mode === 'rank' ? y : x),
+                y: typeof customdata.y === 'number' ? customdata.y : -Math.log10(customdata.pValue)
+            };
         },
 
-        updateAnnotationPosition: function(annotationTitle, ax, ay) {
-            if (!currentPlot) {
-                console.error('No current plot available');
-                return;
+        // Plotly only reports the top-most point under the cursor, so points hidden
+        // underneath are found by projecting every visible point with l2p.
+        findPointsNearTap: function(event, radius) {
+            if (!event || event.clientX === undefined || !currentPlot || !currentPlot._fullLayout) {
+                return [];
             }
 
-            const annotationInfo = annotationMap.get(annotationTitle);
+            const tapRadius = radius || TAP_RADIUS;
+            const xaxis = currentPlot._fullLayout.xaxis;
+            const yaxis = currentPlot._fullLayout.yaxis;
+            const tap = this.getEventPlotPosition(event);
+            const candidates = [];
+            const seen = new Set();
+
+            (currentPlot.data || []).forEach(trace => {
+                if (!trace.x || !trace.y || !trace.customdata) return;
+                if (trace.visible === false || trace.visible === 'legendonly') return;
+
+                for (let i = 0; i < trace.x.length; i++) {
+                    const customdata = trace.customdata[i];
+                    if (!customdata || seen.has(customdata.id)) continue;
+
+                    const dx = xaxis.l2p(trace.x[i]) - tap.pixelX;
+                    const dy = yaxis.l2p(trace.y[i]) - tap.pixelY;
+                    const distance = Math.sqrt(dx * dx + dy * dy);
+                    if (distance <= tapRadius) {
+                        seen.add(customdata.id);
+                        candidates.push({
+                            customdata: customdata,
+                            x: trace.x[i],
+                            y: trace.y[i],
+                            distance: Math.round(distance * 10) / 10
+                        });
+                    }
+                }
+            });
+
+            // Nearest first; equally close points favour the more significant one
+            candidates.sort((a, b) => a.distance - b.distance || b.y - a.y);
+            return candidates.slice(0, MAX_TAP_CANDIDATES);
+        },
 
-            if (annotationInfo) {
-                annotationInfo.annotation.ax = ax;
-                annotationInfo.annotation.ay = ay;
+        setupSelectionHandlers: function() {
+            const trackModifiers = (event) => {
+                selectionState.modifiers.shift = !!event.shiftKey;
+                selectionState.modifiers.alt = !!event.altKey;
+            };
+            currentPlot.addEventListener('pointerdown', trackModifiers, true);
+            currentPlot.addEventListener('mousedown', trackModifiers, true);
+
+            currentPlot.on('plotly_selecting', (data) => {
+                const ids = this.collectPointIds(data && data.points ? data.points : []);
+                this.showSelectionCount(ids.length);
+            });
 
-                const update = {
-                    ['annotations[' + annotationInfo.index + '].ax']: ax,
-                    ['annotations[' + annotationInfo.index + '].ay']: ay
-                };
+            currentPlot.on('plotly_selected', (data) => {
+                if (!data) {
+                    return;
+                }
 
-                try {
-                    Plotly.relayout(currentPlot, update);
-                } catch (error) {
-                    console.error('Plotly.relayout failed:', error);
+                const ids = this.collectRegionIds(data);
+                const action = this.resolveSelectionAction();
+                this.showSelectionCount(ids.length);
+
+                if (gridState.enabled) {
+                    this.selectGridIds(ids);
                 }
-            } else {
-                for (let [key, info] of annotationMap.entries()) {
-                    if (info.annotation.text && info.annotation.text.includes(annotationTitle)) {
-                        return this.updateAnnotationPosition(key, ax, ay);
-                    }
+
+                if (ids.length === 0 && action === 'create') {
+                    return;
                 }
 
-                console.warn('No annotation found for title:', annotationTitle);
+                this.notifySelectionCreated({
+                    action: action,
+                    groupName: action === 'create' ? null : selectionState.targetGroup,
+                    selectionType: data.lassoPoints ? 'lasso' : 'box',
+                    ids: ids,
+                    genes: this.lookupGenes(ids),
+                    count: ids.length
+                });
+            });
+
+            currentPlot.on('plotly_deselect', () => {
+                this.hideSelectionCount();
+                this.notifySelectionCleared();
+            });
+        },
+
+        setDragMode: function(mode) {
+            if (!currentPlot) return;
+            const allowed = ['zoom', 'pan', 'select', 'lasso'].concat(DRAW_MODES);
+            if (allowed.indexOf(mode) === -1) {
+                PlotLogger.warn('volcano', 'Unsupported drag mode: ' + mode);
+                return;
+            }
+            if (DRAW_MODES.indexOf(mode) === -1) {
+                Plotly.relayout(currentPlot, { dragmode: mode });
+                return;
+            }
+
+            // Grid panels and the alternate views are rebuilt from the volcano figure, so shapes drawn there would be lost
+            if (gridState.enabled || viewState.mode !== 'volcano') {
+                throw new Error('Shapes can only be drawn on the volcano view');
             }
+            const theme = themeState.theme || VOLCANO_THEMES.light;
+            Plotly.relayout(currentPlot, {
+                dragmode: mode,
+                newshape: {
+                    line: { color: theme.text, width: 2 },
+                    fillcolor: USER_SHAPE_FILL,
+                    opacity: 1,
+                    layer: 'above'
+                }
+            });
         },
 
-        updateAnnotationPositions: function(updates) {
-            if (!currentPlot || !updates || updates.length === 0) return;
+        // While a grid or alternate view is showing, the volcano figure (and its shapes) waits in the source
+        getUserShapeLayout: function() {
+            const source = gridState.source || viewState.source;
+            return source ? source.layout : currentPlot.layout;
+        },
 
-            const batchUpdate = {};
-            let hasChanges = false;
+        isUserShape: function(shape) {
+            return typeof shape.name === 'string' && shape.name.indexOf(USER_SHAPE_PREFIX) === 0;
+        },
 
-            for (const update of updates) {
-                const annotationInfo = annotationMap.get(update.title);
+        getUserShapes: function() {
+            if (!currentPlot || !currentPlot.layout) return [];
 
-                if (annotationInfo) {
-                    annotationInfo.annotation.ax = update.ax;
-                    annotationInfo.annotation.ay = update.ay;
+            return (this.getUserShapeLayout().shapes || []).filter(shape => this.isUserShape(shape)).map(shape => {
+                const serialized = {};
+                USER_SHAPE_KEYS.forEach(key => {
+                    if (shape[key] !== undefined) {
+                        serialized[key] = JSON.parse(JSON.stringify(shape[key]));
+                    }
+                });
+                return serialized;
+            });
+        },
 
-                    batchUpdate['annotations[' + annotationInfo.index + '].ax'] = update.ax;
-                    batchUpdate['annotations[' + annotationInfo.index + '].ay'] = update.ay;
-                    hasChanges = true;
+        // Replaces every user shape; generated shapes are left where they are
+        setUserShapes: function(shapes) {
+            if (!currentPlot) return [];
+
+            const layout = this.getUserShapeLayout();
+            const existing = (layout.shapes || []).filter(shape => !this.isUserShape(shape));
+            const userShapes = [];
+            (shapes || []).forEach(shape => {
+                if (['rect', 'path', 'line', 'circle'].indexOf(shape.type) === -1) {
+                    throw new Error('Unsupported shape type: ' + shape.type);
+                }
+                const userShape = Object.assign({ editable: true }, JSON.parse(JSON.stringify(shape)));
+                if (!this.isUserShape(userShape)) {
+                    userShape.name = this.nextUserShapeName(existing.concat(userShapes));
                 }
+                userShapes.push(userShape);
+            });
+
+            this.replaceLayoutShapes(layout, existing.concat(userShapes));
+            this.syncUserShapes();
+            return this.getUserShapes();
+        },
+
+        setUserShapeLabel: function(name, text) {
+            const layout = this.getUserShapeLayout();
+            const index = (layout.shapes || []).findIndex(shape => shape.name === name && this.isUserShape(shape));
+            if (index === -1) {
+                throw new Error('Unknown shape: ' + name);
             }
 
-            if (hasChanges) {
-                Plotly.relayout(currentPlot, batchUpdate);
+            const shapes = layout.shapes.slice();
+            shapes[index] = Object.assign({}, shapes[index], {
+                label: Object.assign({}, shapes[index].label, { text: text || '' })
+            });
+            this.replaceLayoutShapes(layout, shapes);
+            this.syncUserShapes('Label shape');
+            return this.getUserShapes();
+        },
+
+        removeUserShape: function(name) {
+            const layout = this.getUserShapeLayout();
+            const shapes = layout.shapes || [];
+            const remaining = shapes.filter(shape => !(shape.name === name && this.isUserShape(shape)));
+            if (remaining.length === shapes.length) {
+                throw new Error('Unknown shape: ' + name);
             }
+
+            this.replaceLayoutShapes(layout, remaining);
+            this.syncUserShapes('Delete shape');
+            return this.getUserShapes();
         },
 
-        showError: function(message) {
-            document.getElementById('loading').style.display = 'none';
-            document.getElementById('plot').style.display = 'none';
-            const errorDiv = document.getElementById('error');
-            errorDiv.innerHTML = '<div><h3>Volcano Plot Error</h3><p>' + message + '</p></div>';
-            errorDiv.style.display = 'flex';
-            this.notifyError(message);
+        clearUserShapes: function() {
+            const layout = this.getUserShapeLayout();
+            this.replaceLayoutShapes(layout, (layout.shapes || []).filter(shape => !this.isUserShape(shape)));
+            this.syncUserShapes('Clear shapes');
+            return [];
         },
 
-        notifyReady: function() {
-            if (window.webkit && window.webkit.messageHandlers && window.webkit.messageHandlers.plotReady) {
-                window.webkit.messageHandlers.plotReady.postMessage('ready');
+        // plotly_relayout for this arrives after the promise settles, by which time the
+        // caller's syncUserShapes has recorded the shapes and the event finds nothing new
+        replaceLayoutShapes: function(layout, shapes) {
+            if (layout === currentPlot.layout) {
+                Plotly.relayout(currentPlot, { shapes: shapes });
+            } else {
+                layout.shapes = shapes;
             }
         },
 
-        notifyPointClicked: function(pointData) {
-            if (window.webkit && window.webkit.messageHandlers && window.webkit.messageHandlers.pointClicked) {
-                window.webkit.messageHandlers.pointClicked.postMessage(JSON.stringify(pointData));
-            }
+        nextUserShapeName: function(shapes) {
+            const highest = shapes.reduce((max, shape) => {
+                const match = typeof shape.name === 'string' ? /^user-shape-(\d+)$/.exec(shape.name) : null;
+                return match ? Math.max(max, Number(match[1])) : max;
+            }, 0);
+            return USER_SHAPE_PREFIX + (highest + 1);
         },
 
-        notifyPointHovered: function(pointData) {
-            if (window.webkit && window.webkit.messageHandlers && window.webkit.messageHandlers.pointHovered) {
-                window.webkit.messageHandlers.pointHovered.postMessage(JSON.stringify(pointData));
+        // Plotly adds drawn shapes editable and unnamed; naming them is what marks them as ours
+        handleUserShapeRelayout: function(eventData) {
+            if (!eventData || historyState.applying) return;
+            if (!Object.keys(eventData).some(key => key.indexOf('shapes') === 0)) return;
+
+            const shapes = currentPlot.layout.shapes || [];
+            const created = [];
+            const update = {};
+            shapes.forEach((shape, index) => {
+                if (shape.editable && !shape.name) {
+                    const name = this.nextUserShapeName(shapes.concat(created.map(createdName => ({ name: createdName }))));
+                    update['shapes[' + index + '].name'] = name;
+                    created.push(name);
+                }
+            });
+            if (created.length > 0) {
+                Plotly.relayout(currentPlot, update);
             }
+
+            this.syncUserShapes(created.length > 0 ? 'Draw shape' : 'Edit shape', created);
         },
 
-        notifyUpdated: function() {
-            if (window.webkit && window.webkit.messageHandlers && window.webkit.messageHandlers.plotUpdated) {
-                window.webkit.messageHandlers.plotUpdated.postMessage('updated');
+        // Records and reports the user shapes only when they differ from what native last received,
+        // so threshold drags (which also relayout shapes) stay quiet
+        syncUserShapes: function(label, created) {
+            const shapes = this.getUserShapes();
+            const serialized = JSON.stringify(shapes);
+            if (serialized === userShapeState.lastSynced) return;
+
+            userShapeState.lastSynced = serialized;
+            if (label) {
+                this.commitHistoryStep(label);
             }
+            this.notifyUserShapesChanged(shapes, created);
         },
 
-        notifyError: function(message) {
-            if (window.webkit && window.webkit.messageHandlers && window.webkit.messageHandlers.plotError) {
-                window.webkit.messageHandlers.plotError.postMessage(message);
-            }
+        setSelectionMode: function(combineMode, targetGroup) {
+            const allowed = ['new', 'add', 'remove'];
+            selectionState.combineMode = allowed.indexOf(combineMode) !== -1 ? combineMode : 'new';
+            selectionState.targetGroup = targetGroup || null;
         },
 
-        sendPlotDimensions: function() {
-            const dims = this.getPlotDimensions();
-            if (dims && window.webkit && window.webkit.messageHandlers && window.webkit.messageHandlers.plotDimensions) {
-                window.webkit.messageHandlers.plotDimensions.postMessage(JSON.stringify(dims));
+        resolveSelectionAction: function() {
+            let mode = selectionState.combineMode;
+            if (selectionState.modifiers.alt) {
+                mode = 'remove';
+            } else if (selectionState.modifiers.shift) {
+                mode = 'add';
+            }
+
+            if (mode === 'new' || !selectionState.targetGroup) {
+                return 'create';
             }
+            return mode;
         },
 
-        convertAndSendCoordinates: function(annotations) {
-            const results = [];
-            const dims = this.getPlotDimensions();
+        collectPointIds: function(points) {
+            const seen = new Set();
+            for (const point of points) {
+                if (point.customdata && point.customdata.id !== undefined) {
+                    seen.add(point.customdata.id);
+                }
+            }
+            return Array.from(seen);
+        },
 
-            console.log('🎯 convertAndSendCoordinates called with', annotations.length, 'annotations');
-            console.log('🎯 Plot dimensions:', dims);
+        // Plotly merges (shift) or subtracts (alt) the new region from the previous
+        // selection, so data.points does not reflect the region actually drawn.
+        // Test every point against the drawn outline instead.
+        collectRegionIds: function(data) {
+            let contains = null;
+
+            // Region keys name the subplot's axes (x/y, or x2/y2 for a grid panel)
+            const region = data.range || data.lassoPoints || {};
+            const xKey = Object.keys(region).find(key => /^x\d*$/.test(key)) || 'x';
+            const yKey = Object.keys(region).find(key => /^y\d*$/.test(key)) || 'y';
+
+            if (data.range && data.range[xKey] && data.range[yKey]) {
+                const xMin = Math.min(data.range[xKey][0], data.range[xKey][1]);
+                const xMax = Math.max(data.range[xKey][0], data.range[xKey][1]);
+                const yMin = Math.min(data.range[yKey][0], data.range[yKey][1]);
+                const yMax = Math.max(data.range[yKey][0], data.range[yKey][1]);
+                contains = (x, y) => x >= xMin && x <= xMax && y >= yMin && y <= yMax;
+            } else if (data.lassoPoints && data.lassoPoints[xKey] && data.lassoPoints[yKey]) {
+                const polyX = data.lassoPoints[xKey];
+                const polyY = data.lassoPoints[yKey];
+                contains = (x, y) => this.isPointInPolygon(x, y, polyX, polyY);
+            }
 
-            if (dims) {
-                for (const annotation of annotations) {
-                    const screenPos = this.convertPlotToScreen(annotation.x, annotation.y);
-                    console.log('🎯 Annotation:', annotation.id || annotation.title,
-                               'Data coords:', annotation.x, annotation.y,
-                               'Screen coords:', screenPos?.x, screenPos?.y,
-                               'Offsets:', annotation.ax || 0, annotation.ay || 0);
+            if (!contains || !currentPlot || !currentPlot.data) {
+                return this.collectPointIds(data.points || []);
+            }
 
-                    if (screenPos) {
-                        results.push({
-                            id: annotation.id || annotation.title,
-                            plotX: annotation.x,
-                            plotY: annotation.y,
-                            screenX: screenPos.x,
-                            screenY: screenPos.y,
-                            ax: annotation.ax || 0,
-                            ay: annotation.ay || 0
-                        });
+            const seen = new Set();
+            this.getPointTraces().forEach(trace => {
+                if (!trace.x || !trace.y || !trace.customdata || trace.visible === 'legendonly') {
+                    return;
+                }
+                if ((trace.xaxis || 'x') !== xKey) {
+                    return;
+                }
+                for (let i = 0; i < trace.x.length; i++) {
+                    const custom = trace.customdata[i];
+                    if (custom && custom.id !== undefined && contains(trace.x[i], trace.y[i])) {
+                        seen.add(custom.id);
                     }
                 }
+            });
+            return Array.from(seen);
+        },
+
+        isPointInPolygon: function(x, y, polyX, polyY) {
+            let inside = false;
+            for (let i = 0, j = polyX.length - 1; i < polyX.length; j = i++) {
+                const intersects = ((polyY[i] > y) !== (polyY[j] > y)) &&
+                    (x < (polyX[j] - polyX[i]) * (y - polyY[i]) / (polyY[j] - polyY[i]) + polyX[i]);
+                if (intersects) {
+                    inside = !inside;
+                }
             }
+            return inside;
+        },
+
+        lookupGenes: function(ids) {
+            const wanted = new Set(ids);
+            const genes = {};
+            if (!currentPlot || !currentPlot.data) return genes;
+
+            this.getPointTraces().forEach(trace => {
+                (trace.customdata || []).forEach(custom => {
+                    if (custom && wanted.has(custom.id) && genes[custom.id] === undefined) {
+                        genes[custom.id] = custom.gene || '';
+                    }
+                });
+            });
+            return genes;
+        },
 
-            console.log('🎯 Sending coordinate results:', results);
+        clearSelection: function() {
+            if (!currentPlot) return;
+            const traceIndices = currentPlot.data.map((_, index) => index);
+            Plotly.restyle(currentPlot, { selectedpoints: [null] }, traceIndices);
+            Plotly.relayout(currentPlot, { selections: [] });
+            this.hideSelectionCount();
+            this.notifySelectionCleared();
+        },
+
+        showSelectionCount: function(count) {
+            const counter = document.getElementById('selection-count');
+            if (!counter) return;
+            counter.textContent = count + (count === 1 ? ' protein selected' : ' proteins selected');
+            counter.style.display = 'block';
+        },
 
-            if (window.webkit && window.webkit.messageHandlers && window.webkit.messageHandlers.annotationCoordinates) {
-                window.webkit.messageHandlers.annotationCoordinates.postMessage(JSON.stringify(results));
+        hideSelectionCount: function() {
+            const counter = document.getElementById('selection-count');
+            if (counter) {
+                counter.style.display = 'none';
             }
-        }
-    };
+        },
+
+        enableAnnotationEditing: function() {
+            this.setAnnotationEditing(true);
+        },
+
+        disableAnnotationEditing: function() {
+            this.setAnnotationEditing(false);
+        },
+
+        setAnnotationEditing: function(enabled) {
+            if (!currentPlot) return;
+
+            annotationEditing.enabled = !!enabled;
+            const config = this.applyEditConfig(plotData.config);
+
+            Plotly.react(currentPlot, currentPlot.data, currentPlot.layout, config)
+                .then(() => {
+                    if (annotationEditing.enabled && !annotationEditing.listenerAttached) {
+                        currentPlot.on('plotly_relayout', (eventData) => {
+                            this.handleAnnotationRelayout(eventData);
+                        });
+                        annotationEditing.listenerAttached = true;
+                    }
+                })
+                .catch(error => {
+                    PlotLogger.error('annotations', 'Error toggling annotation editing', error);
+                });
+        },
+
+        applyEditConfig: function(baseConfig) {
+            const config = Object.assign({}, baseConfig || {});
+            config.editable = false;
+            config.edits = Object.assign({}, config.edits, {
+                annotationTail: annotationEditing.enabled,
+                annotationPosition: false,
+                annotationText: false
+            });
+            return config;
+        },
+
+        // A finished tail drag arrives as a single relayout carrying
+        // 'annotations[i].ax' and 'annotations[i].ay' for the dragged label.
+        handleAnnotationRelayout: function(eventData) {
+            if (!eventData) return;
+
+            const moved = new Map();
+            const pattern = /^annotations\[(\d+)\]\.(ax|ay)$/;
+
+            Object.keys(eventData).forEach(key => {
+                const match = key.match(pattern);
+                if (!match) return;
+
+                const index = parseInt(match[1], 10);
+                if (!moved.has(index)) {
+                    moved.set(index, {});
+                }
+                moved.get(index)[match[2]] = eventData[key];
+            });
+
+            if (moved.size === 0) return;
+
+            const liveAnnotations = (currentPlot.layout && currentPlot.layout.annotations) || annotations;
+            const results = [];
+
+            moved.forEach((offsets, index) => {
+                const annotation = liveAnnotations[index];
+                if (!annotation) return;
+
+                const annotationInfo = annotationMap.get(annotation.name);
+                if (annotationInfo) {
+                    annotationInfo.annotation = annotation;
+                }
+
+                if (offsets.ax !== undefined) annotation.ax = offsets.ax;
+                if (offsets.ay !== undefined) annotation.ay = offsets.ay;
+                annotations[index] = annotation;
+
+                results.push({
+                    id: annotation.name,
+                    title: annotation.title || annotation.name,
+                    text: annotation.text,
+                    index: index,
+                    ax: annotation.ax,
+                    ay: annotation.ay
+                });
+            });
+
+            if (results.length > 0) {
+                this.commitHistoryStep('Move label');
+                this.notifyAnnotationMoved(results);
+            }
+        },
+
+        updatePlot: function(newData, options) {
+            try {
+                if (currentPlot) {
+                    // New data replaces the grid's or view's source; it is rebuilt from it afterwards
+                    const gridOptions = gridState.enabled ? gridState.options : null;
+                    const viewMode = viewState.mode !== 'volcano' ? viewState.mode : null;
+                    const viewOptions = viewState.options;
+                    this.resetGridState();
+                    this.resetViewState();
+                    densityState.active = false;
+                    densityState.source = null;
+                    plotData.config = newData.config || plotData.config;
+                    const layout = this.applyViewport(newData.layout, options && options.resetView);
+                    Plotly.react(currentPlot, this.applyRenderMode(newData.data), layout, this.applyEditConfig(plotData.config))
+                        .then(() => {
+                            this.initializeAnnotationMap();
+                            if (highlightState.ids) {
+                                const ids = highlightState.ids;
+                                const options = Object.assign({}, highlightState.options, { zoom: 'none' });
+                                highlightState.originals = null;
+                                this.highlightProteins(ids, options);
+                            }
+                            if (themeState.theme) {
+                                this.applyTheme(themeState.theme);
+                            }
+                            paletteState.originals = null;
+                            if (paletteState.name !== 'default' || paletteState.symbols) {
+                                this.applyPalette();
+                            }
+                            this.clearPointFocus();
+                            // A data or colour change leaves labels, cutoffs, shapes and highlight
+                            // as they were, so the stack still applies; anything else would undo
+                            // into a figure that no longer exists
+                            if (JSON.stringify(this.captureHistorySnapshot()) !== JSON.stringify(historyState.baseline)) {
+                                this.clearHistory();
+                            }
+                            userShapeState.lastSynced = JSON.stringify(this.getUserShapes());
+                            if (gridOptions) {
+                                this.setGridMode(true, gridOptions);
+                            } else if (viewMode) {
+                                this.setViewMode(viewMode, viewOptions);
+                            } else if (densityState.enabled) {
+                                this.renderDensity(true);
+                            }
+                            this.notifyUpdated();
+                        })
+                        .catch(error => {
+                            PlotLogger.error('volcano', 'Error updating plot', error);
+                            this.showError('Failed to update plot: ' + error.message);
+                        });
+                }
+            } catch (error) {
+                PlotLogger.error('volcano', 'Error in updatePlot', error);
+                this.showError('JavaScript error: ' + error.message);
+            }
+        },
+
+        // The generated layout always carries the default axis ranges, so a user
+        // zoom is re-applied on top of it unless native asks for a reset.
+        applyViewport: function(layout, resetView) {
+            if (!layout) return layout;
+
+            viewportState.defaultRanges = this.readLayoutRanges(layout);
+            if (resetView) {
+                viewportState.userRanges = null;
+            }
+            if (!viewportState.userRanges) {
+                return layout;
+            }
+
+            const viewportLayout = Object.assign({}, layout);
+            viewportLayout.xaxis = Object.assign({}, layout.xaxis, { range: viewportState.userRanges.x.slice(), autorange: false });
+            viewportLayout.yaxis = Object.assign({}, layout.yaxis, { range: viewportState.userRanges.y.slice(), autorange: false });
+            return viewportLayout;
+        },
+
+        readLayoutRanges: function(layout) {
+            const xaxis = layout.xaxis || {};
+            const yaxis = layout.yaxis || {};
+            return {
+                x: xaxis.range ? xaxis.range.slice() : null,
+                y: yaxis.range ? yaxis.range.slice() : null
+            };
+        },
+
+        handleViewportRelayout: function(eventData) {
+            if (gridState.enabled || viewState.mode !== 'volcano') return;
+            if (!eventData || !currentPlot || !currentPlot._fullLayout) return;
+
+            const keys = Object.keys(eventData);
+            const touchesAxes = keys.some(key => /^[xy]axis\.(range|autorange)/.test(key));
+            if (!touchesAxes) return;
+
+            const layout = currentPlot._fullLayout;
+            const xRange = layout.xaxis.range.slice();
+            const yRange = layout.yaxis.range.slice();
+            const isAutorange = eventData['xaxis.autorange'] === true || eventData['yaxis.autorange'] === true;
+            const defaults = viewportState.defaultRanges;
+            const isDefault = isAutorange || !!(defaults && defaults.x && defaults.y &&
+                this.rangesEqual(defaults.x, xRange) && this.rangesEqual(defaults.y, yRange));
+
+            viewportState.userRanges = isDefault ? null : { x: xRange, y: yRange };
+
+            this.notifyViewportChanged({
+                xRange: xRange,
+                yRange: yRange,
+                isDefault: isDefault
+            });
+        },
+
+        rangesEqual: function(a, b) {
+            return Math.abs(a[0] - b[0]) < 1e-9 && Math.abs(a[1] - b[1]) < 1e-9;
+        },
+
+        getViewport: function() {
+            if (!currentPlot || !currentPlot._fullLayout) return null;
+            return {
+                xRange: currentPlot._fullLayout.xaxis.range.slice(),
+                yRange: currentPlot._fullLayout.yaxis.range.slice(),
+                isDefault: !viewportState.userRanges
+            };
+        },
+
+        setViewport: function(xRange, yRange) {
+            if (!currentPlot) return;
+            Plotly.relayout(currentPlot, {
+                'xaxis.range': xRange,
+                'yaxis.range': yRange
+            });
+        },
+
+        resetView: function() {
+            if (!currentPlot) return;
+            viewportState.userRanges = null;
+
+            const defaults = viewportState.defaultRanges;
+            const update = {};
+            if (defaults && defaults.x) {
+                update['xaxis.range'] = defaults.x.slice();
+            } else {
+                update['xaxis.autorange'] = true;
+            }
+            if (defaults && defaults.y) {
+                update['yaxis.range'] = defaults.y.slice();
+            } else {
+                update['yaxis.autorange'] = true;
+            }
+            Plotly.relayout(currentPlot, update);
+        },
+
+        setTheme: function(options) {
+            if (!currentPlot) return;
+
+            return this.applyTheme(PlotTheme.resolve(options, VOLCANO_THEMES))
+                .then(theme => ({ mode: theme.mode }));
+        },
+
+        applyTheme: function(theme) {
+            const themeColors = PlotTheme.collectThemeColors(VOLCANO_THEMES, themeState.theme);
+            themeState.theme = theme;
+            themeState.colors = PlotTheme.collectThemeColors(VOLCANO_THEMES, theme);
+
+            PlotTheme.applyPageColors(theme);
+            return Plotly.relayout(currentPlot, PlotTheme.buildRelayout(currentPlot.layout, theme, themeColors))
+                .then(() => {
+                    // Recoloured labels are not an edit; keep them out of the next undo step
+                    historyState.baseline = this.captureHistorySnapshot();
+                    return theme;
+                });
+        },
+
+        setColorPalette: function(name, options) {
+            if (!PlotTheme.hasPalette(name)) {
+                throw new Error('Unknown colour palette: ' + name);
+            }
+            paletteState.name = name;
+            paletteState.symbols = !!(options && options.symbols);
+            return this.applyPalette();
+        },
+
+        // Originals are the colours/symbols from the generator, keyed by trace name.
+        // Significance traces keep their base colour in _thresholdColor once the
+        // thresholds have recoloured them per point, so that is what gets remapped.
+        applyPalette: function() {
+            if (!currentPlot) return;
+
+            if (!paletteState.originals) {
+                paletteState.originals = {};
+            }
+            currentPlot.data.forEach(trace => {
+                if (paletteState.originals[trace.name]) return;
+                const marker = trace.marker || {};
+                paletteState.originals[trace.name] = {
+                    color: trace._thresholdColor !== undefined ? trace._thresholdColor : marker.color,
+                    symbol: marker.symbol
+                };
+            });
+
+            const originals = currentPlot.data.map(trace => paletteState.originals[trace.name]);
+            const mapping = PlotTheme.buildPaletteMapping(
+                originals.map(original => original.color).filter(color => typeof color === 'string'),
+                paletteState.name
+            );
+
+            const colors = [];
+            const symbols = [];
+            const indices = [];
+            let thresholdColoured = false;
+            currentPlot.data.forEach((trace, index) => {
+                const original = originals[index];
+                if (typeof original.color !== 'string') return;
+
+                const mapped = mapping.lookup(original.color);
+                if (trace._thresholdColor !== undefined) {
+                    trace._thresholdColor = mapped.color;
+                    thresholdColoured = true;
+                }
+                colors.push(mapped.color);
+                symbols.push(paletteState.symbols ? mapped.symbol : (original.symbol || 'circle'));
+                indices.push(index);
+            });
+
+            if (indices.length === 0) return Promise.resolve({ palette: paletteState.name, symbols: paletteState.symbols });
+
+            return Plotly.restyle(currentPlot, { 'marker.color': colors, 'marker.symbol': symbols }, indices)
+                .then(() => {
+                    const thresholds = this.getThresholds();
+                    if (thresholdColoured && thresholds && thresholds.log2FCCutoff !== null && thresholds.pCutoff !== null) {
+                        this.recolourSignificance(thresholds.log2FCCutoff, -Math.log10(thresholds.pCutoff));
+                    }
+                    return { palette: paletteState.name, symbols: paletteState.symbols };
+                });
+        },
+
+        setupKeyboardNavigation: function() {
+            const plotElement = document.getElementById('plot');
+            plotElement.setAttribute('tabindex', '0');
+            plotElement.setAttribute('role', 'application');
+            plotElement.setAttribute('aria-label',
+                'Volcano plot. Arrow keys move between points, Page Up and Page Down change group, Enter opens the point.');
+            plotElement.addEventListener('keydown', event => this.handleNavigationKey(event));
+        },
+
+        handleNavigationKey: function(event) {
+            switch (event.key) {
+                case 'ArrowRight':
+                case 'ArrowDown':
+                    this.focusPoint(1);
+                    break;
+                case 'ArrowLeft':
+                case 'ArrowUp':
+                    this.focusPoint(-1);
+                    break;
+                case 'PageDown':
+                    this.focusGroup(1);
+                    break;
+                case 'PageUp':
+                    this.focusGroup(-1);
+                    break;
+                case 'Enter':
+                case ' ':
+                    this.activateFocusedPoint();
+                    break;
+                case 'Escape':
+                    this.clearPointFocus();
+                    break;
+                default:
+                    return;
+            }
+            event.preventDefault();
+        },
+
+        // Top-most trace first, matching what is drawn over everything else
+        getNavigableTraces: function() {
+            const indices = [];
+            currentPlot.data.forEach((trace, index) => {
+                if (trace.visible === false || trace.visible === 'legendonly') return;
+                if (!trace.customdata || !trace.x || trace.x.length === 0) return;
+                indices.push(index);
+            });
+            return indices.reverse();
+        },
+
+        focusGroup: function(step) {
+            if (!currentPlot) return null;
+
+            const traces = this.getNavigableTraces();
+            if (traces.length === 0) return null;
+
+            const current = traces.indexOf(navigationState.traceIndex);
+            const next = current === -1 ? 0 : (current + step + traces.length) % traces.length;
+            const traceIndex = traces[next];
+            const trace = currentPlot.data[traceIndex];
+
+            navigationState.traceIndex = traceIndex;
+            navigationState.order = trace.x.map((x, index) => index).sort((a, b) => trace.x[a] - trace.x[b]);
+            navigationState.position = 0;
+            return this.announceFocusedPoint(true);
+        },
+
+        focusPoint: function(step) {
+            if (!currentPlot) return null;
+
+            const trace = navigationState.traceIndex !== null ? currentPlot.data[navigationState.traceIndex] : null;
+            if (!trace || !navigationState.order || this.getNavigableTraces().indexOf(navigationState.traceIndex) === -1) {
+                navigationState.traceIndex = null;
+                return this.focusGroup(0);
+            }
+
+            const count = navigationState.order.length;
+            navigationState.position = (navigationState.position + step + count) % count;
+            return this.announceFocusedPoint(false);
+        },
+
+        getFocusedPoint: function() {
+            if (navigationState.traceIndex === null || !navigationState.order || !currentPlot) return null;
+
+            const trace = currentPlot.data[navigationState.traceIndex];
+            if (!trace) return null;
+            const pointIndex = navigationState.order[navigationState.position];
+            return {
+                trace: trace,
+                traceIndex: navigationState.traceIndex,
+                pointIndex: pointIndex,
+                customdata: trace.customdata[pointIndex] || {},
+                x: trace.x[pointIndex],
+                y: trace.y[pointIndex]
+            };
+        },
+
+        describePoint: function(point) {
+            const customdata = point.customdata;
+            let label = customdata.gene || customdata.id || 'Unnamed point';
+            if (customdata.accession && customdata.position) {
+                label += ' site ' + customdata.position;
+            }
+            const position = this.getVolcanoPosition(customdata, point.x, point.y);
+            const pValue = typeof customdata.pValue === 'number' ? customdata.pValue : Math.pow(10, -position.y);
+            return label +
+                ', log2 fold change ' + position.x.toFixed(3) +
+                ', p-value ' + pValue.toExponential(2);
+        },
+
+        announceFocusedPoint: function(groupChanged) {
+            const point = this.getFocusedPoint();
+            if (!point) return null;
+
+            const count = navigationState.order.length;
+            let announcement = this.describePoint(point) + ', ' + (navigationState.position + 1) + ' of ' + count;
+            if (groupChanged) {
+                announcement = point.trace.name + ', ' + count + (count === 1 ? ' point. ' : ' points. ') + announcement;
+            }
+
+            // Sighted keyboard users get the regular hover label on the focused point
+            if (Plotly.Fx && Plotly.Fx.hover) {
+                Plotly.Fx.hover(currentPlot, [{ curveNumber: point.traceIndex, pointNumber: point.pointIndex }]);
+            }
+            const announcer = document.getElementById('point-announcer');
+            if (announcer) {
+                announcer.textContent = announcement;
+            }
+
+            const focus = {
+                id: point.customdata.id,
+                gene: point.customdata.gene,
+                log2FC: point.x,
+                pValue: point.customdata.pValue,
+                group: point.trace.name,
+                position: navigationState.position,
+                count: count,
+                announcement: announcement
+            };
+            PlotBridge.post('pointFocused', focus);
+            return focus;
+        },
+
+        activateFocusedPoint: function() {
+            const point = this.getFocusedPoint();
+            if (!point) return null;
+
+            const screen = this.convertPlotToScreen(point.x, point.y);
+            const clickData = this.buildClickData(point.customdata, point.x, point.y,
+                screen ? { clientX: screen.x, clientY: screen.y } : null);
+            this.notifyPointClicked(clickData);
+            return clickData;
+        },
+
+        // Also runs whenever the figure is swapped, so the card goes with the focus
+        clearPointFocus: function() {
+            this.hideHoverCard(true);
+            navigationState.traceIndex = null;
+            navigationState.order = null;
+            navigationState.position = -1;
+            if (currentPlot && Plotly.Fx && Plotly.Fx.unhover) {
+                Plotly.Fx.unhover(currentPlot);
+            }
+        },
+
+        setGridMode: function(enabled, options) {
+            if (!currentPlot) return;
+
+            if (!enabled) {
+                return gridState.enabled ? this.closeGrid() : Promise.resolve({ enabled: false });
+            }
+            if (viewState.mode !== 'volcano') {
+                return this.setViewMode('volcano').then(() => this.setGridMode(true, options));
+            }
+            if (densityState.active) {
+                return this.renderDensity(false).then(() => this.setGridMode(true, options));
+            }
+
+            this.suspendHighlight();
+            if (!gridState.enabled) {
+                gridState.source = { data: currentPlot.data, layout: currentPlot.layout };
+            }
+            gridState.options = Object.assign({}, options);
+            const figure = this.buildGridFigure(gridState.source, gridState.options);
+            gridState.enabled = true;
+            gridState.pinnedId = null;
+            this.clearPointFocus();
+
+            return Plotly.react(currentPlot, figure.data, figure.layout, this.applyEditConfig(plotData.config))
+                .then(() => {
+                    this.resumeHighlight();
+                    return { enabled: true, comparisons: gridState.comparisons };
+                });
+        },
+
+        closeGrid: function() {
+            const source = gridState.source;
+            const thresholdsChanged = gridState.thresholdsChanged;
+            this.suspendHighlight();
+            this.resetGridState();
+            this.clearPointFocus();
+
+            return this.restoreSourceFigure(source, thresholdsChanged).then(() => ({ enabled: false }));
+        },
+
+        // Labels edited while another figure was up live in the module list, not the source layout
+        restoreSourceFigure: function(source, thresholdsChanged) {
+            const layout = Object.assign({}, source.layout, { annotations: annotations });
+            return Plotly.react(currentPlot, source.data, layout, this.applyEditConfig(plotData.config))
+                .then(() => {
+                    const thresholds = this.getThresholds();
+                    if (thresholdsChanged && thresholds && thresholds.log2FCCutoff !== null && thresholds.pCutoff !== null) {
+                        this.recolourSignificance(thresholds.log2FCCutoff, -Math.log10(thresholds.pCutoff));
+                    }
+                    this.resumeHighlight();
+                    if (themeState.theme) {
+                        this.applyTheme(themeState.theme);
+                    }
+                    if (densityState.enabled) {
+                        return this.renderDensity(true);
+                    }
+                });
+        },
+
+        // Puts the markers back to their unhighlighted look before the traces are
+        // copied into another figure; the ids stay so resumeHighlight can re-apply them
+        suspendHighlight: function() {
+            if (!currentPlot || !highlightState.originals) return;
+
+            const originals = highlightState.originals;
+            Plotly.restyle(currentPlot, {
+                'marker.size': originals.map(original => original.size),
+                'marker.opacity': originals.map(original => original.opacity === undefined ? 1 : original.opacity),
+                'marker.line.color': originals.map(original => original.lineColor),
+                'marker.line.width': originals.map(original => original.lineWidth)
+            }, originals.map((_, index) => index));
+            highlightState.originals = null;
+            highlightState.previousRanges = null;
+        },
+
+        resumeHighlight: function() {
+            if (!highlightState.ids) return;
+
+            historyState.applying = true;
+            try {
+                this.highlightProteins(highlightState.ids, Object.assign({}, highlightState.options, { zoom: 'none' }));
+            } finally {
+                historyState.applying = false;
+            }
+        },
+
+        resetGridState: function() {
+            gridState.enabled = false;
+            gridState.source = null;
+            gridState.comparisons = [];
+            gridState.linkTraces = [];
+            gridState.pointIndex = null;
+            gridState.pinnedId = null;
+            gridState.thresholdsChanged = false;
+        },
+
+        getComparisons: function(traces) {
+            const comparisons = [];
+            (traces || currentPlot.data).forEach(trace => {
+                (trace.customdata || []).forEach(custom => {
+                    const comparison = custom && custom.comparison !== undefined ? String(custom.comparison) : null;
+                    if (comparison !== null && comparisons.indexOf(comparison) === -1) {
+                        comparisons.push(comparison);
+                    }
+                });
+            });
+            return comparisons;
+        },
+
+        // Per-point arrays (threshold colours, highlight sizes) are sliced along
+        // with x/y so every panel keeps the styling of the single plot.
+        sliceTrace: function(trace, indices) {
+            const length = trace.x.length;
+            const pick = values => Array.isArray(values) && values.length === length
+                ? indices.map(index => values[index])
+                : values;
+
+            const slice = Object.assign({}, trace, {
+                x: indices.map(index => trace.x[index]),
+                y: indices.map(index => trace.y[index]),
+                customdata: indices.map(index => trace.customdata[index]),
+                text: pick(trace.text),
+                hovertext: pick(trace.hovertext),
+                selectedpoints: undefined
+            });
+            if (trace.marker) {
+                slice.marker = Object.assign({}, trace.marker, {
+                    color: pick(trace.marker.color),
+                    size: pick(trace.marker.size),
+                    opacity: pick(trace.marker.opacity),
+                    symbol: pick(trace.marker.symbol)
+                });
+                if (trace.marker.line) {
+                    slice.marker.line = Object.assign({}, trace.marker.line, {
+                        color: pick(trace.marker.line.color),
+                        width: pick(trace.marker.line.width)
+                    });
+                }
+            }
+            return slice;
+        },
+
+        buildGridFigure: function(source, options) {
+            const comparisons = this.getComparisons(source.data);
+            if (comparisons.length === 0) {
+                throw new Error('No comparison found in the point data');
+            }
+
+            const count = comparisons.length;
+            const columns = options.columns > 0 ? Math.min(options.columns, count) : Math.ceil(Math.sqrt(count));
+            const rows = Math.ceil(count / columns);
+            const panelWidth = (1 - GRID_PANEL_GAP.x * (columns - 1)) / columns;
+            const panelHeight = (1 - GRID_PANEL_GAP.y * (rows - 1)) / rows;
+
+            const sourceLayout = source.layout;
+            const layout = Object.assign({}, sourceLayout, {
+                annotations: [],
+                shapes: [],
+                showlegend: sourceLayout.showlegend
+            });
+            const xRange = sourceLayout.xaxis && sourceLayout.xaxis.range ? sourceLayout.xaxis.range.slice() : undefined;
+            const yRange = sourceLayout.yaxis && sourceLayout.yaxis.range ? sourceLayout.yaxis.range.slice() : undefined;
+            const thresholds = this.findThresholdShapes(sourceLayout.shapes || []);
+            const thresholdNames = { fcNegative: 'threshold-fc-negative', fcPositive: 'threshold-fc-positive', pValue: 'threshold-p' };
+
+            const data = [];
+            const pointIndex = new Map();
+            const shownInLegend = new Set();
+            const linkTraces = [];
+
+            comparisons.forEach((comparison, panel) => {
+                const row = Math.floor(panel / columns);
+                const column = panel % columns;
+                const suffix = panel === 0 ? '' : String(panel + 1);
+                const xId = 'x' + suffix;
+                const yId = 'y' + suffix;
+                const xDomain = [column * (panelWidth + GRID_PANEL_GAP.x), column * (panelWidth + GRID_PANEL_GAP.x) + panelWidth];
+                const yTop = 1 - row * (panelHeight + GRID_PANEL_GAP.y);
+                const yDomain = [yTop - panelHeight, yTop];
+
+                // Shared scaling: every panel matches the first panel's axes
+                layout['xaxis' + suffix] = Object.assign({}, sourceLayout.xaxis, {
+                    domain: xDomain,
+                    anchor: yId,
+                    range: xRange,
+                    matches: panel === 0 ? undefined : 'x',
+                    title: row === rows - 1 || panel + columns >= count ? (sourceLayout.xaxis || {}).title : undefined
+                });
+                layout['yaxis' + suffix] = Object.assign({}, sourceLayout.yaxis, {
+                    domain: yDomain,
+                    anchor: xId,
+                    range: yRange,
+                    matches: panel === 0 ? undefined : 'y',
+                    title: column === 0 ? (sourceLayout.yaxis || {}).title : undefined
+                });
+
+                layout.annotations.push({
+                    name: 'grid-title-' + panel,
+                    text: '<b>' + comparison + '</b>',
+                    xref: 'paper',
+                    yref: 'paper',
+                    x: (xDomain[0] + xDomain[1]) / 2,
+                    y: yDomain[1],
+                    xanchor: 'center',
+                    yanchor: 'bottom',
+                    showarrow: false
+                });
+
+                Object.keys(thresholdNames).forEach(key => {
+                    if (thresholds[key] === -1) return;
+                    layout.shapes.push(Object.assign({}, sourceLayout.shapes[thresholds[key]], {
+                        name: 'grid-' + thresholdNames[key],
+                        xref: xId,
+                        yref: yId
+                    }));
+                });
+
+                source.data.forEach(trace => {
+                    if (!trace.customdata || !trace.x) return;
+                    const indices = [];
+                    trace.customdata.forEach((custom, index) => {
+                        if (custom && String(custom.comparison) === comparison) indices.push(index);
+                    });
+                    if (indices.length === 0) return;
+
+                    const slice = this.sliceTrace(trace, indices);
+                    slice.xaxis = xId;
+                    slice.yaxis = yId;
+                    slice.legendgroup = trace.name;
+                    slice.showlegend = !shownInLegend.has(trace.name);
+                    shownInLegend.add(trace.name);
+                    data.push(slice);
+
+                    slice.customdata.forEach((custom, index) => {
+                        if (!pointIndex.has(custom.id)) pointIndex.set(custom.id, []);
+                        pointIndex.get(custom.id).push({ panel: panel, x: slice.x[index], y: slice.y[index] });
+                    });
+                });
+
+                linkTraces.push(data.length);
+                data.push({
+                    type: 'scatter',
+                    mode: 'markers',
+                    name: GRID_LINK_TRACE_NAME,
+                    x: [],
+                    y: [],
+                    xaxis: xId,
+                    yaxis: yId,
+                    showlegend: false,
+                    hoverinfo: 'skip',
+                    marker: { symbol: 'circle-open', size: 16, color: '#ff9500', line: { width: 2.5 } }
+                });
+            });
+
+            gridState.comparisons = comparisons;
+            gridState.pointIndex = pointIndex;
+            gridState.linkTraces = linkTraces;
+            return { data: data, layout: layout };
+        },
+
+        // Rings the protein in every panel; a null id clears the rings
+        linkGridPoint: function(id) {
+            if (!gridState.enabled || !currentPlot) return;
+
+            const points = (id !== null && id !== undefined && gridState.pointIndex.get(id)) || [];
+            const xs = gridState.linkTraces.map(() => []);
+            const ys = gridState.linkTraces.map(() => []);
+            points.forEach(point => {
+                xs[point.panel].push(point.x);
+                ys[point.panel].push(point.y);
+            });
+            Plotly.restyle(currentPlot, { x: xs, y: ys }, gridState.linkTraces);
+        },
+
+        selectGridIds: function(ids) {
+            const wanted = new Set(ids);
+            const indices = [];
+            const selected = [];
+            currentPlot.data.forEach((trace, index) => {
+                if (!trace.customdata || gridState.linkTraces.indexOf(index) !== -1) return;
+                indices.push(index);
+                selected.push(trace.customdata.reduce((picked, custom, pointIndex) => {
+                    if (custom && wanted.has(custom.id)) picked.push(pointIndex);
+                    return picked;
+                }, []));
+            });
+            Plotly.restyle(currentPlot, { selectedpoints: selected }, indices);
+        },
+
+        // Moves the panel copies and keeps the source figure's lines in step so
+        // the single plot is right when the grid closes
+        moveGridThresholds: function(log2FCCutoff, yCutoff) {
+            const update = {};
+            const apply = (shape, key) => {
+                if (key === 'threshold-fc-negative' || key === 'threshold-fc-positive') {
+                    const x = key === 'threshold-fc-negative' ? -log2FCCutoff : log2FCCutoff;
+                    return { x0: x, x1: x };
+                }
+                if (key === 'threshold-p') {
+                    return { y0: yCutoff, y1: yCutoff };
+                }
+                return null;
+            };
+
+            (currentPlot.layout.shapes || []).forEach((shape, index) => {
+                const name = typeof shape.name === 'string' && shape.name.indexOf('grid-') === 0 ? shape.name.slice(5) : null;
+                const values = name ? apply(shape, name) : null;
+                if (!values) return;
+                Object.keys(values).forEach(key => {
+                    update['shapes[' + index + '].' + key] = values[key];
+                });
+            });
+
+            this.moveSourceThresholds(gridState.source, log2FCCutoff, yCutoff);
+            gridState.thresholdsChanged = true;
+            return update;
+        },
+
+        moveSourceThresholds: function(source, log2FCCutoff, yCutoff) {
+            const sourceShapes = source.layout.shapes || [];
+            const sourceIndices = this.findThresholdShapes(sourceShapes);
+            if (sourceIndices.fcNegative !== -1) {
+                sourceShapes[sourceIndices.fcNegative] = Object.assign({}, sourceShapes[sourceIndices.fcNegative], { x0: -log2FCCutoff, x1: -log2FCCutoff });
+            }
+            if (sourceIndices.fcPositive !== -1) {
+                sourceShapes[sourceIndices.fcPositive] = Object.assign({}, sourceShapes[sourceIndices.fcPositive], { x0: log2FCCutoff, x1: log2FCCutoff });
+            }
+            if (sourceIndices.pValue !== -1) {
+                sourceShapes[sourceIndices.pValue] = Object.assign({}, sourceShapes[sourceIndices.pValue], { y0: yCutoff, y1: yCutoff });
+            }
+        },
+
+        // batch: { x, y, text?, customdata?, done? } with one entry per point
+        appendPoints: function(traceName, batch) {
+            if (!currentPlot) {
+                throw new Error('Plot is not ready');
+            }
+            if (!batch || !Array.isArray(batch.x) || !Array.isArray(batch.y) || batch.x.length !== batch.y.length) {
+                throw new Error('A point batch needs x and y arrays of the same length');
+            }
+
+            const columns = {};
+            ['x', 'y', 'text', 'customdata'].forEach(key => {
+                if (Array.isArray(batch[key])) columns[key] = batch[key];
+            });
+
+            // While the grid, another view or the density layer is up the volcano
+            // traces are held aside; they are extended there and redrawn at the end
+            const derived = gridState.enabled || viewState.mode !== 'volcano' || densityState.active;
+            const traces = gridState.enabled ? gridState.source.data
+                : (viewState.mode !== 'volcano' ? viewState.source.data : this.getPointTraces());
+            const index = traces.findIndex(trace => trace.name === traceName);
+            if (index === -1) {
+                throw new Error('No trace named ' + traceName);
+            }
+
+            let drawn;
+            if (derived) {
+                const trace = traces[index];
+                Object.keys(columns).forEach(key => {
+                    trace[key] = (trace[key] || []).concat(columns[key]);
+                });
+                streamState.stale = true;
+                drawn = Promise.resolve();
+            } else {
+                this.suspendHighlight();
+                const update = {};
+                Object.keys(columns).forEach(key => {
+                    update[key] = [columns[key]];
+                });
+                drawn = Plotly.extendTraces(currentPlot, update, [index]).then(() => {
+                    // Per-point colour arrays have to grow with the trace
+                    const thresholds = this.getThresholds();
+                    if (currentPlot.data[index]._thresholdColor !== undefined && thresholds &&
+                        thresholds.log2FCCutoff !== null && thresholds.pCutoff !== null) {
+                        this.recolourSignificance(thresholds.log2FCCutoff, -Math.log10(thresholds.pCutoff));
+                    }
+                    this.resumeHighlight();
+                });
+            }
+
+            streamState.received += batch.x.length;
+            streamState.loaded[traceName] = (streamState.loaded[traceName] || 0) + batch.x.length;
+            return drawn.then(() => this.reportLoadProgress(traceName, batch.done === true));
+        },
+
+        getLoadProgress: function() {
+            const expected = streamState.expected;
+            return {
+                received: streamState.received,
+                expected: expected,
+                fraction: expected ? Math.min(1, streamState.received / expected) : null,
+                done: expected === null || streamState.received >= expected
+            };
+        },
+
+        reportLoadProgress: function(traceName, finished) {
+            const progress = Object.assign(this.getLoadProgress(), {
+                traceName: traceName,
+                traceLoaded: streamState.loaded[traceName],
+                traceTotal: streamState.traceTotals[traceName] !== undefined ? streamState.traceTotals[traceName] : null
+            });
+            if (finished) {
+                progress.done = true;
+            }
+
+            PlotBridge.post('pointsLoaded', progress);
+            return progress.done ? this.finishPointStream().then(() => progress) : progress;
+        },
+
+        finishPointStream: function() {
+            if (!streamState.stale) return Promise.resolve();
+            streamState.stale = false;
+
+            if (gridState.enabled) {
+                return this.setGridMode(true, gridState.options);
+            }
+            if (viewState.mode !== 'volcano') {
+                return this.setViewMode(viewState.mode, viewState.options);
+            }
+            return this.renderDensity(true);
+        },
+
+        // options: { fields: subset of HOVER_CARD_FIELDS in display order, pin: 'auto' | 'always' | 'never' }
+        setHoverCard: function(enabled, options) {
+            const settings = options || {};
+            if (settings.fields !== undefined) {
+                const unknown = (settings.fields || []).filter(field => HOVER_CARD_FIELDS.indexOf(field) === -1);
+                if (unknown.length > 0) {
+                    throw new Error('Unknown hover card field: ' + unknown.join(', '));
+                }
+                hoverCardState.fields = settings.fields.slice();
+            }
+            if (settings.pin !== undefined) {
+                if (['auto', 'always', 'never'].indexOf(settings.pin) === -1) {
+                    throw new Error('Unknown hover card pin mode: ' + settings.pin);
+                }
+                hoverCardState.pin = settings.pin;
+            }
+            hoverCardState.enabled = !!enabled;
+            if (!hoverCardState.enabled) {
+                this.hideHoverCard(true);
+            }
+            return { enabled: hoverCardState.enabled, fields: hoverCardState.fields, pin: hoverCardState.pin };
+        },
+
+        shouldPinHoverCard: function() {
+            if (hoverCardState.pin !== 'auto') {
+                return hoverCardState.pin === 'always';
+            }
+            return 'ontouchstart' in window || (typeof navigator !== 'undefined' && navigator.maxTouchPoints > 0);
+        },
+
+        // clickData is given when the card is pinned by a tap
+        showHoverCard: function(point, event, clickData) {
+            const card = document.getElementById('hover-card');
+            if (!card) return;
+
+            // Keyboard-driven hovers carry no pointer event; convertPlotToScreen only knows the main axes
+            let position = event && event.clientX !== undefined ? { x: event.clientX, y: event.clientY } : null;
+            if (!position && !gridState.enabled) {
+                position = this.convertPlotToScreen(point.x, point.y);
+            }
+            if (!position) return;
+
+            card.innerHTML = this.buildHoverCardHtml(point.customdata, point.x, point.y, !!clickData);
+            card.classList.toggle('pinned', !!clickData);
+            card.style.display = 'block';
+            document.body.classList.add('hover-card-active');
+            hoverCardState.pinned = clickData || null;
+
+            if (clickData) {
+                const details = card.querySelector('.hover-card-details');
+                const close = card.querySelector('.hover-card-close');
+                if (details) details.onclick = () => {
+                    const pinned = hoverCardState.pinned;
+                    this.hideHoverCard(true);
+                    if (pinned) this.notifyPointClicked(pinned);
+                };
+                if (close) close.onclick = () => this.hideHoverCard(true);
+            }
+
+            // Keep the card on screen, flipping to the other side of the point near an edge
+            const width = card.offsetWidth || 0;
+            const height = card.offsetHeight || 0;
+            const viewWidth = window.innerWidth || 0;
+            const viewHeight = window.innerHeight || 0;
+            let left = position.x + HOVER_CARD_OFFSET;
+            let top = position.y + HOVER_CARD_OFFSET;
+            if (viewWidth && left + width > viewWidth) left = Math.max(0, position.x - HOVER_CARD_OFFSET - width);
+            if (viewHeight && top + height > viewHeight) top = Math.max(0, position.y - HOVER_CARD_OFFSET - height);
+            card.style.left = left + 'px';
+            card.style.top = top + 'px';
+        },
+
+        hideHoverCard: function(includePinned) {
+            if (hoverCardState.pinned && !includePinned) return;
+            hoverCardState.pinned = null;
+            const card = document.getElementById('hover-card');
+            if (card) {
+                card.style.display = 'none';
+            }
+            if (document.body && document.body.classList) {
+                document.body.classList.remove('hover-card-active');
+            }
+        },
+
+        buildHoverCardHtml: function(customdata, x, y, pinned) {
+            const escape = value => String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+            const position = this.getVolcanoPosition(customdata, x, y);
+            const pValue = this.getPointPValue(customdata, position.y);
+            const rows = [];
+
+            hoverCardState.fields.forEach(field => {
+                switch (field) {
+                    case 'gene':
+                        rows.push('<div class="hover-card-title">' + escape(customdata.gene || customdata.id) + '</div>');
+                        break;
+                    case 'id':
+                        if (customdata.id !== undefined && customdata.id !== customdata.gene) {
+                            rows.push('<div><span class="hover-card-label">ID</span> ' + escape(customdata.id) + '</div>');
+                        }
+                        break;
+                    case 'site':
+                        if (customdata.accession && customdata.position) {
+                            rows.push('<div><span class="hover-card-label">Site</span> ' + escape(customdata.accession) + ' ' + escape(customdata.position) + '</div>');
+                        }
+                        break;
+                    case 'comparison':
+                        if (customdata.comparison !== undefined) {
+                            rows.push('<div><span class="hover-card-label">Comparison</span> ' + escape(customdata.comparison) + '</div>');
+                        }
+                        break;
+                    case 'log2FC':
+                        rows.push('<div><span class="hover-card-label">Log2FC</span> ' + position.x.toFixed(3) + '</div>');
+                        break;
+                    case 'pValue':
+                        rows.push('<div><span class="hover-card-label">p-value</span> ' +
+                            (pValue < 0.001 ? pValue.toExponential(4) : pValue.toPrecision(4)) + '</div>');
+                        break;
+                    case 'selections':
+                        rows.push(this.buildSelectionChips(customdata, escape));
+                        break;
+                }
+            });
+
+            if (pinned) {
+                rows.push('<div class="hover-card-actions"><button type="button" class="hover-card-details">Details</button>' +
+                    '<button type="button" class="hover-card-close" aria-label="Close">×</button></div>');
+            }
+            return rows.join('');
+        },
+
+        // Chips take the colour the group's trace is drawn in now (palette included),
+        // falling back to the colour the generator recorded for the point
+        buildSelectionChips: function(customdata, escape) {
+            const selections = customdata.selections || [];
+            if (selections.length === 0) return '';
+
+            const chips = selections.map((name, index) => {
+                const trace = currentPlot && currentPlot.data.find(candidate => candidate.name === name);
+                const traceColor = trace && trace.marker && typeof trace.marker.color === 'string' ? trace.marker.color : null;
+                const color = traceColor || (customdata.colors || [])[index] || '#cccccc';
+                return '<span class="hover-card-chip"><span class="hover-card-swatch" style="background-color: ' +
+                    escape(color) + '"></span>' + escape(name) + '</span>';
+            });
+            return '<div class="hover-card-chips">' + chips.join('') + '</div>';
+        },
+
+        setSummaryOverlay: function(enabled) {
+            summaryState.overlay = !!enabled;
+            const summary = this.computeViewSummary();
+            this.showViewSummary(summary);
+            return summary;
+        },
+
+        scheduleViewSummary: function() {
+            if (summaryState.frame !== null) return;
+            summaryState.frame = requestAnimationFrame(() => {
+                summaryState.frame = null;
+                this.updateViewSummary();
+            });
+        },
+
+        updateViewSummary: function() {
+            const summary = this.computeViewSummary();
+            this.showViewSummary(summary);
+
+            const serialized = JSON.stringify(summary);
+            if (serialized === summaryState.last) return summary;
+            summaryState.last = serialized;
+            if (summary) {
+                PlotBridge.post('viewSummary', summary);
+            }
+            return summary;
+        },
+
+        // Only the volcano's axes are fold change and p-value, so the grid and the
+        // other views have no summary. Points under the density layer still count.
+        computeViewSummary: function() {
+            if (!currentPlot || !currentPlot._fullLayout || gridState.enabled || viewState.mode !== 'volcano') {
+                return null;
+            }
+
+            const xRange = currentPlot._fullLayout.xaxis.range.slice();
+            const yRange = currentPlot._fullLayout.yaxis.range.slice();
+            const xMin = Math.min(xRange[0], xRange[1]);
+            const xMax = Math.max(xRange[0], xRange[1]);
+            const yMin = Math.min(yRange[0], yRange[1]);
+            const yMax = Math.max(yRange[0], yRange[1]);
+
+            const thresholds = this.getThresholds();
+            const hasThresholds = !!thresholds && thresholds.log2FCCutoff !== null && thresholds.pCutoff !== null;
+            const yCutoff = hasThresholds ? -Math.log10(thresholds.pCutoff) : null;
+
+            const all = new Set();
+            const up = new Set();
+            const down = new Set();
+            const groups = [];
+            const selections = {};
+
+            this.getPointTraces().forEach(trace => {
+                if (!trace.x || !trace.y || !trace.customdata) return;
+
+                const group = { name: trace.name, visible: trace.visible !== false && trace.visible !== 'legendonly', count: 0, up: 0, down: 0 };
+                trace.x.forEach((x, index) => {
+                    const y = trace.y[index];
+                    if (x < xMin || x > xMax || y < yMin || y > yMax) return;
+
+                    const custom = trace.customdata[index] || {};
+                    const id = custom.id !== undefined ? custom.id : trace.name + ':' + index;
+                    group.count++;
+                    all.add(id);
+
+                    if (hasThresholds && y >= yCutoff && Math.abs(x) > thresholds.log2FCCutoff) {
+                        if (x > 0) {
+                            group.up++;
+                            up.add(id);
+                        } else {
+                            group.down++;
+                            down.add(id);
+                        }
+                    }
+                    (custom.selections || []).forEach(selection => {
+                        selections[selection] = (selections[selection] || 0) + 1;
+                    });
+                });
+                groups.push(group);
+            });
+
+            return {
+                xRange: xRange,
+                yRange: yRange,
+                total: all.size,
+                up: hasThresholds ? up.size : null,
+                down: hasThresholds ? down.size : null,
+                log2FCCutoff: hasThresholds ? thresholds.log2FCCutoff : null,
+                pCutoff: hasThresholds ? thresholds.pCutoff : null,
+                groups: groups,
+                selections: selections
+            };
+        },
+
+        showViewSummary: function(summary) {
+            const panel = document.getElementById('view-summary');
+            if (!panel) return;
+            if (!summaryState.overlay || !summary) {
+                panel.style.display = 'none';
+                return;
+            }
+
+            const lines = ['In view: ' + summary.total + (summary.up !== null ? '  ▲ ' + summary.up + '  ▼ ' + summary.down : '')];
+            summary.groups.filter(group => group.visible && group.count > 0).forEach(group => {
+                lines.push(group.name + ': ' + group.count);
+            });
+            panel.textContent = lines.join('\n');
+            panel.style.display = 'block';
+        },
+
+        // Traces holding every point, whether or not the density layer stands in for some
+        getPointTraces: function() {
+            return densityState.active ? densityState.source : currentPlot.data;
+        },
+
+        setDensityMode: function(enabled, options) {
+            if (!currentPlot) return;
+
+            densityState.enabled = !!enabled;
+            densityState.options = Object.assign({}, options);
+            // The grid and the other views draw every point; the layer comes back with the volcano
+            if (gridState.enabled || viewState.mode !== 'volcano') {
+                return Promise.resolve({ enabled: densityState.enabled, active: false });
+            }
+            return this.renderDensity(densityState.enabled)
+                .then(() => ({ enabled: densityState.enabled, active: densityState.active }));
+        },
+
+        renderDensity: function(active) {
+            if (!active && !densityState.active) return Promise.resolve();
+
+            const source = densityState.active ? densityState.source : currentPlot.data;
+            const traces = active ? this.buildDensityTraces(source, densityState.options || {}) : source;
+            densityState.active = active;
+            densityState.source = active ? source : null;
+            return this.swapTraces(traces);
+        },
+
+        // Background and significance traces keep only the points that are past both
+        // thresholds or carry a label; everything else feeds the contour
+        buildDensityTraces: function(source, options) {
+            const thresholds = this.getThresholds();
+            const log2FCCutoff = thresholds && thresholds.log2FCCutoff !== null ? thresholds.log2FCCutoff : Infinity;
+            const yCutoff = thresholds && thresholds.pCutoff !== null ? -Math.log10(thresholds.pCutoff) : Infinity;
+            const labelled = new Set(annotations
+                .filter(annotation => !annotation.xref || annotation.xref === 'x')
+                .map(annotation => annotation.x + '|' + annotation.y));
+
+            const densityX = [];
+            const densityY = [];
+            const traces = [];
+            source.forEach(trace => {
+                const isBackground = trace.name === 'Background' || trace.name === 'Other' || this.parseSignificanceGroup(trace.name);
+                if (!isBackground || !trace.x || !trace.customdata) {
+                    traces.push(trace);
+                    return;
+                }
+
+                const kept = [];
+                trace.x.forEach((x, index) => {
+                    const y = trace.y[index];
+                    if ((y >= yCutoff && Math.abs(x) > log2FCCutoff) || labelled.has(x + '|' + y)) {
+                        kept.push(index);
+                    } else {
+                        densityX.push(x);
+                        densityY.push(y);
+                    }
+                });
+                if (kept.length > 0) {
+                    traces.push(this.sliceTrace(trace, kept));
+                }
+            });
+
+            traces.unshift({
+                type: 'histogram2dcontour',
+                name: DENSITY_TRACE_NAME,
+                x: densityX,
+                y: densityY,
+                ncontours: options.levels > 0 ? options.levels : DEFAULT_DENSITY_LEVELS,
+                colorscale: options.colorscale || DEFAULT_DENSITY_COLORSCALE,
+                contours: { coloring: 'fill', showlines: false },
+                showscale: false,
+                showlegend: true,
+                hoverinfo: 'skip'
+            });
+            return traces;
+        },
+
+        // Replaces the traces under the current layout (labels included) and puts
+        // threshold colours, palette and highlight back on the new set
+        swapTraces: function(traces) {
+            const outgoing = currentPlot.data;
+            this.suspendHighlight();
+            this.clearPointFocus();
+            traces.forEach(trace => {
+                const previous = outgoing.find(candidate => candidate.name === trace.name);
+                if (previous && previous._thresholdColor !== undefined) {
+                    trace._thresholdColor = previous._thresholdColor;
+                }
+            });
+
+            const layout = Object.assign({}, currentPlot.layout, { annotations: annotations });
+            return Plotly.react(currentPlot, this.applyRenderMode(traces), layout, this.applyEditConfig(plotData.config))
+                .then(() => {
+                    const thresholds = this.getThresholds();
+                    const thresholdColoured = currentPlot.data.some(trace => trace._thresholdColor !== undefined);
+                    if (thresholdColoured && thresholds && thresholds.log2FCCutoff !== null && thresholds.pCutoff !== null) {
+                        this.recolourSignificance(thresholds.log2FCCutoff, -Math.log10(thresholds.pCutoff));
+                    }
+                    if (paletteState.name !== 'default' || paletteState.symbols) {
+                        this.applyPalette();
+                    }
+                    this.resumeHighlight();
+                });
+        },
+
+        setViewMode: function(mode, options) {
+            if (!currentPlot) return;
+            if (VIEW_MODES.indexOf(mode) === -1) {
+                throw new Error('Unknown view mode: ' + mode);
+            }
+
+            const leaveGrid = gridState.enabled ? this.closeGrid() : Promise.resolve();
+            return leaveGrid.then(() => {
+                if (mode === 'volcano') {
+                    return viewState.mode === 'volcano' ? { mode: mode } : this.closeAlternateView();
+                }
+                if (densityState.active) {
+                    return this.renderDensity(false).then(() => this.setViewMode(mode, options));
+                }
+
+                this.suspendHighlight();
+                if (viewState.mode === 'volcano') {
+                    viewState.source = { data: currentPlot.data, layout: currentPlot.layout };
+                }
+                viewState.options = Object.assign({}, options);
+                const figure = mode === 'rank'
+                    ? this.buildRankFigure(viewState.source)
+                    : this.buildHistogramFigure(viewState.source, viewState.options);
+                viewState.mode = mode;
+                this.clearPointFocus();
+
+                return Plotly.react(currentPlot, figure.data, figure.layout, this.applyEditConfig(plotData.config))
+                    .then(() => {
+                        this.resumeHighlight();
+                        return { mode: mode };
+                    });
+            });
+        },
+
+        closeAlternateView: function() {
+            const source = viewState.source;
+            const thresholdsChanged = viewState.thresholdsChanged;
+            this.suspendHighlight();
+            this.resetViewState();
+            this.clearPointFocus();
+
+            return this.restoreSourceFigure(source, thresholdsChanged).then(() => ({ mode: 'volcano' }));
+        },
+
+        resetViewState: function() {
+            viewState.mode = 'volcano';
+            viewState.source = null;
+            viewState.thresholdsChanged = false;
+        },
+
+        getViewMode: function() {
+            return { mode: viewState.mode, grid: gridState.enabled };
+        },
+
+        // Every point keeps its trace (and so its selection group colour); only the
+        // coordinates change to (rank by log2FC, log2FC)
+        buildRankFigure: function(source) {
+            const entries = [];
+            source.data.forEach((trace, traceIndex) => {
+                if (!trace.customdata || !trace.x) return;
+                trace.x.forEach((x, index) => entries.push({ traceIndex: traceIndex, index: index, x: x }));
+            });
+            entries.sort((a, b) => a.x - b.x);
+
+            const ranks = source.data.map(trace => trace.x ? new Array(trace.x.length) : null);
+            entries.forEach((entry, rank) => {
+                ranks[entry.traceIndex][entry.index] = rank + 1;
+            });
+
+            const data = [];
+            source.data.forEach((trace, traceIndex) => {
+                if (!trace.customdata || !trace.x) return;
+                data.push(Object.assign({}, trace, {
+                    x: ranks[traceIndex],
+                    y: trace.x.slice(),
+                    selectedpoints: undefined,
+                    hovertemplate: '<b>%{text}</b><br>Rank: %{x}<br>Log2FC: %{y:.3f}<br>p-value: %{customdata.pValue:.2e}<extra></extra>'
+                }));
+            });
+
+            const sourceLayout = source.layout;
+            const thresholds = this.getThresholds();
+            const thresholdLine = this.findThresholdLine(sourceLayout);
+            const shapes = [];
+            if (thresholds && thresholds.log2FCCutoff !== null) {
+                [['view-threshold-fc-negative', -thresholds.log2FCCutoff], ['view-threshold-fc-positive', thresholds.log2FCCutoff]].forEach(pair => {
+                    shapes.push({ name: pair[0], type: 'line', xref: 'paper', x0: 0, x1: 1, y0: pair[1], y1: pair[1], line: thresholdLine });
+                });
+            }
+
+            return {
+                data: data,
+                layout: Object.assign({}, sourceLayout, {
+                    annotations: [],
+                    shapes: shapes,
+                    xaxis: Object.assign({}, sourceLayout.xaxis, {
+                        title: Object.assign({}, (sourceLayout.xaxis || {}).title, { text: 'Rank' }),
+                        range: [0, entries.length + 1],
+                        autorange: false,
+                        zeroline: false
+                    }),
+                    yaxis: Object.assign({}, sourceLayout.yaxis, {
+                        title: Object.assign({}, (sourceLayout.yaxis || {}).title, { text: 'Log2 fold change' }),
+                        range: undefined,
+                        autorange: true
+                    })
+                })
+            };
+        },
+
+        // One stacked histogram per trace so selection groups keep their colour;
+        // highlighted proteins are marked along the axis by a separate marker trace
+        buildHistogramFigure: function(source, options) {
+            const binSize = options.binSize > 0 ? options.binSize : DEFAULT_HISTOGRAM_BIN_SIZE;
+            const data = [];
+
+            source.data.forEach(trace => {
+                if (!trace.customdata || !trace.x) return;
+                const marker = trace.marker || {};
+                data.push({
+                    type: 'histogram',
+                    name: trace.name,
+                    visible: trace.visible,
+                    legendgroup: trace.name,
+                    showlegend: trace.showlegend,
+                    // No customdata: Plotly reports a bar's event customdata by bin index,
+                    // which would name an unrelated protein
+                    x: trace.customdata.map((custom, index) => this.getPointPValue(custom, trace.y[index])),
+                    xbins: { start: 0, end: 1, size: binSize },
+                    marker: {
+                        color: typeof marker.color === 'string' ? marker.color : trace._thresholdColor,
+                        line: { color: marker.line && typeof marker.line.color === 'string' ? marker.line.color : 'white', width: 0.5 }
+                    },
+                    hovertemplate: '%{fullData.name}<br>p-value: %{x}<br>%{y} proteins<extra></extra>'
+                });
+            });
+
+            data.push({
+                type: 'scatter',
+                mode: 'markers',
+                name: HISTOGRAM_HIGHLIGHT_TRACE_NAME,
+                x: [],
+                y: [],
+                text: [],
+                customdata: [],
+                showlegend: false,
+                cliponaxis: false,
+                marker: { symbol: 'triangle-up', size: 10, color: '#ff9500', line: { color: '#000000', width: 1 } },
+                hovertemplate: '<b>%{text}</b><br>p-value: %{x:.2e}<extra></extra>'
+            });
+
+            const sourceLayout = source.layout;
+            const thresholds = this.getThresholds();
+            const shapes = [];
+            if (thresholds && thresholds.pCutoff !== null) {
+                shapes.push({
+                    name: 'view-threshold-p',
+                    type: 'line',
+                    yref: 'paper',
+                    x0: thresholds.pCutoff,
+                    x1: thresholds.pCutoff,
+                    y0: 0,
+                    y1: 1,
+                    line: this.findThresholdLine(sourceLayout)
+                });
+            }
+
+            return {
+                data: data,
+                layout: Object.assign({}, sourceLayout, {
+                    annotations: [],
+                    shapes: shapes,
+                    barmode: 'stack',
+                    xaxis: Object.assign({}, sourceLayout.xaxis, {
+                        title: Object.assign({}, (sourceLayout.xaxis || {}).title, { text: 'p-value' }),
+                        range: [0, 1],
+                        autorange: false,
+                        zeroline: false
+                    }),
+                    yaxis: Object.assign({}, sourceLayout.yaxis, {
+                        title: Object.assign({}, (sourceLayout.yaxis || {}).title, { text: 'Proteins' }),
+                        range: undefined,
+                        autorange: true
+                    })
+                })
+            };
+        },
+
+        getPointPValue: function(custom, y) {
+            return custom && typeof custom.pValue === 'number' ? custom.pValue : Math.pow(10, -y);
+        },
+
+        findThresholdLine: function(layout) {
+            const shapes = layout.shapes || [];
+            const indices = this.findThresholdShapes(shapes);
+            const index = [indices.pValue, indices.fcPositive, indices.fcNegative].find(candidate => candidate !== -1);
+            return index !== undefined && shapes[index].line
+                ? Object.assign({}, shapes[index].line)
+                : { color: themeState.theme ? themeState.theme.threshold : VOLCANO_THEMES.light.threshold, width: 1, dash: 'dash' };
+        },
+
+        // Lists the highlighted proteins on the histogram's marker trace
+        markHistogramHighlights: function(points) {
+            const index = currentPlot.data.findIndex(trace => trace.name === HISTOGRAM_HIGHLIGHT_TRACE_NAME);
+            if (index === -1) return;
+            Plotly.restyle(currentPlot, {
+                x: [points.map(point => this.getPointPValue(point.customdata, point.y))],
+                y: [points.map(() => 0)],
+                text: [points.map(point => point.customdata.gene || point.customdata.id)],
+                customdata: [points.map(point => point.customdata)]
+            }, [index]);
+        },
+
+        moveViewThresholds: function(log2FCCutoff, pCutoff) {
+            const update = {};
+            (currentPlot.layout.shapes || []).forEach((shape, index) => {
+                const prefix = 'shapes[' + index + '].';
+                if (shape.name === 'view-threshold-fc-negative' || shape.name === 'view-threshold-fc-positive') {
+                    const y = shape.name === 'view-threshold-fc-negative' ? -log2FCCutoff : log2FCCutoff;
+                    update[prefix + 'y0'] = y;
+                    update[prefix + 'y1'] = y;
+                } else if (shape.name === 'view-threshold-p') {
+                    update[prefix + 'x0'] = pCutoff;
+                    update[prefix + 'x1'] = pCutoff;
+                }
+            });
+            return update;
+        },
+
+        // scattergl shares the scatter attribute set (customdata, hovertemplate,
+        // selectedpoints) and the same cartesian axes, so click, hover, selection
+        // and l2p-based coordinate conversion behave identically in both modes.
+        applyRenderMode: function(traces) {
+            renderState.activeMode = this.resolveRenderMode(traces);
+            const traceType = renderState.activeMode === 'webgl' ? 'scattergl' : 'scatter';
+
+            return (traces || []).map(trace => {
+                if (trace.type !== 'scatter' && trace.type !== 'scattergl') {
+                    return trace;
+                }
+                return trace.type === traceType ? trace : Object.assign({}, trace, { type: traceType });
+            });
+        },
+
+        resolveRenderMode: function(traces) {
+            if (renderState.requestedMode === 'svg') {
+                return 'svg';
+            }
+            if (!this.isWebGLAvailable()) {
+                return 'svg';
+            }
+            if (renderState.requestedMode === 'webgl') {
+                return 'webgl';
+            }
+
+            // Points folded into the density layer are not drawn as markers
+            const pointCount = (traces || []).reduce((total, trace) =>
+                total + (trace.x && trace.name !== DENSITY_TRACE_NAME ? trace.x.length : 0), 0);
+            return pointCount > WEBGL_POINT_THRESHOLD ? 'webgl' : 'svg';
+        },
+
+        isWebGLAvailable: function() {
+            if (renderState.webglAvailable === undefined) {
+                try {
+                    const canvas = document.createElement('canvas');
+                    renderState.webglAvailable = !!(canvas.getContext &&
+                        (canvas.getContext('webgl') || canvas.getContext('experimental-webgl')));
+                } catch (error) {
+                    renderState.webglAvailable = false;
+                }
+            }
+            return renderState.webglAvailable;
+        },
+
+        setRenderMode: function(mode) {
+            const allowed = ['auto', 'svg', 'webgl'];
+            if (allowed.indexOf(mode) === -1) {
+                PlotLogger.warn('volcano', 'Unsupported render mode: ' + mode);
+                return;
+            }
+            renderState.requestedMode = mode;
+            if (!currentPlot) return;
+
+            const previousMode = renderState.activeMode;
+            const traces = this.applyRenderMode(currentPlot.data);
+            if (renderState.activeMode === previousMode) return;
+
+            Plotly.react(currentPlot, traces, currentPlot.layout, this.applyEditConfig(plotData.config))
+                .then(() => {
+                    this.notifyUpdated();
+                })
+                .catch(error => {
+                    PlotLogger.error('volcano', 'Error switching render mode', error);
+                    this.showError('Failed to switch render mode: ' + error.message);
+                });
+        },
+
+        getRenderMode: function() {
+            return renderState.activeMode;
+        },
+
+        setThresholdDragging: function(enabled) {
+            thresholdState.enabled = !!enabled;
+            if (!currentPlot || thresholdState.listenersAttached) return;
+
+            // Capture phase so a drag that starts on a threshold line never reaches
+            // Plotly's own zoom/pan drag handlers.
+            currentPlot.addEventListener('pointerdown', (event) => this.handleThresholdPointerDown(event), true);
+            currentPlot.addEventListener('pointermove', (event) => this.handleThresholdPointerMove(event), true);
+            currentPlot.addEventListener('pointerup', (event) => this.handleThresholdPointerUp(event), true);
+            currentPlot.addEventListener('pointercancel', (event) => this.handleThresholdPointerUp(event), true);
+            ['mousedown', 'touchstart'].forEach(type => {
+                currentPlot.addEventListener(type, (event) => {
+                    if (thresholdState.dragging) {
+                        event.stopPropagation();
+                    }
+                }, true);
+            });
+            thresholdState.listenersAttached = true;
+        },
+
+        // Threshold lines are named by PlotlyChartGenerator; older curtains fall back
+        // to the dashed, non-axis lines it has always generated.
+        findThresholdShapes: function(layoutShapes) {
+            const found = { fcNegative: -1, fcPositive: -1, pValue: -1 };
+            const shapes = layoutShapes || (currentPlot && currentPlot.layout && currentPlot.layout.shapes) || [];
+
+            shapes.forEach((shape, index) => {
+                if (shape.name === 'threshold-fc-negative') found.fcNegative = index;
+                else if (shape.name === 'threshold-fc-positive') found.fcPositive = index;
+                else if (shape.name === 'threshold-p') found.pValue = index;
+            });
+
+            if (found.fcNegative === -1 && found.fcPositive === -1 && found.pValue === -1) {
+                shapes.forEach((shape, index) => {
+                    if (shape.type !== 'line' || shape.isYAxisLine || !shape.line || shape.line.dash !== 'dash') return;
+                    if (typeof shape.name === 'string' && shape.name.indexOf('grid-') === 0) return;
+                    if (shape.editable || this.isUserShape(shape)) return;
+                    if (shape.x0 === shape.x1) {
+                        if (shape.x0 < 0) found.fcNegative = index;
+                        else found.fcPositive = index;
+                    } else if (shape.y0 === shape.y1) {
+                        found.pValue = index;
+                    }
+                });
+            }
+            return found;
+        },
+
+        getEventPlotPosition: function(event) {
+            const layout = currentPlot._fullLayout;
+            const rect = currentPlot.getBoundingClientRect();
+            const xaxis = layout.xaxis;
+            const yaxis = layout.yaxis;
+            const margin = layout.margin || {};
+            const offsetX = xaxis._offset !== undefined ? xaxis._offset : (margin.l || 80);
+            const offsetY = yaxis._offset !== undefined ? yaxis._offset : (margin.t || 100);
+            const pixelX = event.clientX - rect.left - offsetX;
+            const pixelY = event.clientY - rect.top - offsetY;
+
+            return {
+                pixelX: pixelX,
+                pixelY: pixelY,
+                x: xaxis.p2l(pixelX),
+                y: yaxis.p2l(pixelY)
+            };
+        },
+
+        handleThresholdPointerDown: function(event) {
+            if (!thresholdState.enabled || gridState.enabled || viewState.mode !== 'volcano' || !currentPlot || !currentPlot._fullLayout) return;
+
+            const shapes = this.findThresholdShapes();
+            const layout = currentPlot.layout;
+            const xaxis = currentPlot._fullLayout.xaxis;
+            const yaxis = currentPlot._fullLayout.yaxis;
+            const position = this.getEventPlotPosition(event);
+            const grabDistance = 10;
+
+            let dragging = null;
+            [shapes.fcNegative, shapes.fcPositive].forEach(index => {
+                if (index === -1 || dragging) return;
+                if (Math.abs(xaxis.l2p(layout.shapes[index].x0) - position.pixelX) <= grabDistance) {
+                    dragging = 'fc';
+                }
+            });
+            if (!dragging && shapes.pValue !== -1 &&
+                Math.abs(yaxis.l2p(layout.shapes[shapes.pValue].y0) - position.pixelY) <= grabDistance) {
+                dragging = 'p';
+            }
+            if (!dragging) return;
+
+            this.beginHistoryGroup('Change thresholds');
+            thresholdState.dragging = dragging;
+            thresholdState.shapes = shapes;
+            thresholdState.log2FCCutoff = shapes.fcPositive !== -1 ? Math.abs(layout.shapes[shapes.fcPositive].x0) :
+                (shapes.fcNegative !== -1 ? Math.abs(layout.shapes[shapes.fcNegative].x0) : 0);
+            thresholdState.pCutoff = shapes.pValue !== -1 ? Math.pow(10, -layout.shapes[shapes.pValue].y0) : 1;
+
+            if (currentPlot.setPointerCapture && event.pointerId !== undefined) {
+                currentPlot.setPointerCapture(event.pointerId);
+            }
+            event.preventDefault();
+            event.stopPropagation();
+        },
+
+        handleThresholdPointerMove: function(event) {
+            if (!thresholdState.dragging) return;
+            event.preventDefault();
+            event.stopPropagation();
+
+            const position = this.getEventPlotPosition(event);
+            if (thresholdState.dragging === 'fc') {
+                thresholdState.log2FCCutoff = Math.abs(position.x);
+            } else {
+                thresholdState.pCutoff = Math.pow(10, -Math.max(0, position.y));
+            }
+
+            if (thresholdState.frame === null) {
+                thresholdState.frame = requestAnimationFrame(() => {
+                    thresholdState.frame = null;
+                    this.applyThresholds(thresholdState.log2FCCutoff, thresholdState.pCutoff);
+                });
+            }
+        },
+
+        handleThresholdPointerUp: function(event) {
+            if (!thresholdState.dragging) return;
+            event.stopPropagation();
+
+            thresholdState.dragging = null;
+            if (thresholdState.frame !== null) {
+                cancelAnimationFrame(thresholdState.frame);
+                thresholdState.frame = null;
+            }
+
+            // Native puts the cutoffs into significance group names, so they are
+            // saved as round numbers rather than wherever the finger let go
+            thresholdState.log2FCCutoff = Math.round(thresholdState.log2FCCutoff * 100) / 100;
+            thresholdState.pCutoff = Number(thresholdState.pCutoff.toPrecision(2));
+
+            const counts = this.applyThresholds(thresholdState.log2FCCutoff, thresholdState.pCutoff);
+            this.endHistoryGroup();
+            this.notifyThresholdsChanged({
+                log2FCCutoff: thresholdState.log2FCCutoff,
+                pCutoff: thresholdState.pCutoff,
+                upCount: counts.up,
+                downCount: counts.down
+            });
+        },
+
+        setThresholds: function(log2FCCutoff, pCutoff) {
+            if (!currentPlot) return null;
+            thresholdState.shapes = this.findThresholdShapes();
+            const counts = this.applyThresholds(log2FCCutoff, pCutoff);
+            this.commitHistoryStep('Change thresholds');
+            return counts;
+        },
+
+        applyThresholds: function(log2FCCutoff, pCutoff) {
+            const yCutoff = -Math.log10(pCutoff);
+            if (viewState.mode !== 'volcano') {
+                // Significance colours are re-derived on the volcano when it comes back
+                this.moveSourceThresholds(viewState.source, log2FCCutoff, yCutoff);
+                viewState.thresholdsChanged = true;
+                Plotly.relayout(currentPlot, this.moveViewThresholds(log2FCCutoff, pCutoff));
+                const viewCounts = this.countRegulated(log2FCCutoff, yCutoff, viewState.source.data);
+                this.showThresholdCounts(viewCounts, log2FCCutoff, pCutoff);
+                return viewCounts;
+            }
+            if (gridState.enabled) {
+                Plotly.relayout(currentPlot, this.moveGridThresholds(log2FCCutoff, yCutoff));
+                this.recolourSignificance(log2FCCutoff, yCutoff);
+                const gridCounts = this.countRegulated(log2FCCutoff, yCutoff);
+                this.showThresholdCounts(gridCounts, log2FCCutoff, pCutoff);
+                return gridCounts;
+            }
+
+            const shapes = thresholdState.shapes || this.findThresholdShapes();
+            const update = {};
+
+            if (shapes.fcNegative !== -1) {
+                update['shapes[' + shapes.fcNegative + '].x0'] = -log2FCCutoff;
+                update['shapes[' + shapes.fcNegative + '].x1'] = -log2FCCutoff;
+            }
+            if (shapes.fcPositive !== -1) {
+                update['shapes[' + shapes.fcPositive + '].x0'] = log2FCCutoff;
+                update['shapes[' + shapes.fcPositive + '].x1'] = log2FCCutoff;
+            }
+            if (shapes.pValue !== -1) {
+                update['shapes[' + shapes.pValue + '].y0'] = yCutoff;
+                update['shapes[' + shapes.pValue + '].y1'] = yCutoff;
+            }
+            Plotly.relayout(currentPlot, update);
+
+            this.recolourSignificance(log2FCCutoff, yCutoff);
+            const counts = this.countRegulated(log2FCCutoff, yCutoff, this.getPointTraces());
+            // Points that crossed a threshold move between the contour and the markers once the drag ends
+            if (densityState.active && !thresholdState.dragging) {
+                this.renderDensity(true);
+            }
+            this.showThresholdCounts(counts, log2FCCutoff, pCutoff);
+            return counts;
+        },
+
+        parseSignificanceGroup: function(name) {
+            const match = /^P-value (<=|>) [^;]+;FC (<=|>) /.exec(name || '');
+            if (!match) return null;
+            return { pSignificant: match[1] === '<=', fcSignificant: match[2] === '>' };
+        },
+
+        // Mirrors VolcanoPlotDataService.getSignificantGroup: significant when
+        // -log10(p) >= -log10(pCutoff) and |log2FC| > log2FCCutoff.
+        recolourSignificance: function(log2FCCutoff, yCutoff) {
+            const categoryColors = {};
+            const traceIndices = [];
+
+            currentPlot.data.forEach((trace, index) => {
+                const group = this.parseSignificanceGroup(trace.name);
+                if (!group) return;
+                traceIndices.push(index);
+                if (trace._thresholdColor === undefined) {
+                    trace._thresholdColor = trace.marker && typeof trace.marker.color === 'string' ? trace.marker.color : null;
+                }
+                if (trace._thresholdColor) {
+                    categoryColors[group.pSignificant + '|' + group.fcSignificant] = trace._thresholdColor;
+                }
+            });
+
+            if (traceIndices.length === 0) return;
+
+            const colors = traceIndices.map(index => {
+                const trace = currentPlot.data[index];
+                return trace.x.map((x, pointIndex) => {
+                    const key = (trace.y[pointIndex] >= yCutoff) + '|' + (Math.abs(x) > log2FCCutoff);
+                    return categoryColors[key] || trace._thresholdColor || '#cccccc';
+                });
+            });
+
+            Plotly.restyle(currentPlot, { 'marker.color': colors }, traceIndices);
+        },
+
+        countRegulated: function(log2FCCutoff, yCutoff, traces) {
+            const up = new Set();
+            const down = new Set();
+
+            (traces || currentPlot.data).forEach(trace => {
+                if (!trace.x || !trace.y) return;
+                trace.x.forEach((x, index) => {
+                    const custom = trace.customdata ? trace.customdata[index] : null;
+                    const id = custom && custom.id !== undefined ? custom.id : trace.name + ':' + index;
+                    if (trace.y[index] >= yCutoff && Math.abs(x) > log2FCCutoff) {
+                        if (x > 0) up.add(id);
+                        else down.add(id);
+                    }
+                });
+            });
+
+            return { up: up.size, down: down.size };
+        },
+
+        showThresholdCounts: function(counts, log2FCCutoff, pCutoff) {
+            const panel = document.getElementById('threshold-counts');
+            if (!panel) return;
+            panel.textContent = '▲ ' + counts.up + '  ▼ ' + counts.down +
+                '  (|log2FC| > ' + log2FCCutoff.toFixed(2) + ', p ≤ ' + pCutoff.toPrecision(2) + ')';
+            panel.style.display = 'block';
+        },
+
+        highlightProteins: function(ids, options) {
+            if (!currentPlot || !ids || ids.length === 0) {
+                this.clearHighlight();
+                return { matched: [], missing: ids || [] };
+            }
+
+            const settings = Object.assign({
+                dimOpacity: 0.15,
+                sizeScale: 1.8,
+                outlineColor: '#000000',
+                outlineWidth: 2,
+                zoom: 'none',
+                padding: 0.15
+            }, options || {});
+
+            const wanted = new Set(ids.map(id => String(id).toLowerCase()));
+            const matchedIds = new Set();
+            const matchedTerms = new Set();
+            const matchedPoints = [];
+            const histogramPoints = [];
+
+            if (!highlightState.originals) {
+                highlightState.originals = currentPlot.data.map(trace => {
+                    const marker = trace.marker || {};
+                    return {
+                        size: marker.size,
+                        opacity: marker.opacity,
+                        lineColor: marker.line ? marker.line.color : undefined,
+                        lineWidth: marker.line ? marker.line.width : undefined
+                    };
+                });
+            }
+
+            const sizes = [];
+            const opacities = [];
+            const lineColors = [];
+            const lineWidths = [];
+
+            currentPlot.data.forEach((trace, traceIndex) => {
+                // Histogram bars have no per-protein markers; matches are looked up in the
+                // volcano trace the bars were built from and go on the marker trace instead
+                if (trace.type === 'histogram' || trace.name === HISTOGRAM_HIGHLIGHT_TRACE_NAME) {
+                    const sourceTrace = trace.type === 'histogram' && viewState.source
+                        ? viewState.source.data.find(candidate => candidate.name === trace.name)
+                        : null;
+                    ((sourceTrace && sourceTrace.customdata) || []).forEach((custom, index) => {
+                        const idTerm = custom ? String(custom.id).toLowerCase() : null;
+                        const geneTerm = custom && custom.gene ? String(custom.gene).toLowerCase() : null;
+                        if (custom && (wanted.has(idTerm) || (geneTerm !== null && wanted.has(geneTerm)))) {
+                            matchedIds.add(custom.id);
+                            matchedTerms.add(wanted.has(idTerm) ? idTerm : geneTerm);
+                            histogramPoints.push({ customdata: custom, y: sourceTrace.y[index] });
+                        }
+                    });
+                    [sizes, opacities, lineColors, lineWidths].forEach(values => values.push(undefined));
+                    return;
+                }
+
+                const original = highlightState.originals[traceIndex] || {};
+                const count = trace.x ? trace.x.length : 0;
+                const traceSizes = new Array(count);
+                const traceOpacities = new Array(count);
+                const traceLineColors = new Array(count);
+                const traceLineWidths = new Array(count);
+
+                for (let i = 0; i < count; i++) {
+                    const custom = trace.customdata ? trace.customdata[i] : null;
+                    const baseSize = Array.isArray(original.size) ? original.size[i] : (original.size || 6);
+                    const idTerm = custom ? String(custom.id).toLowerCase() : null;
+                    const geneTerm = custom && custom.gene ? String(custom.gene).toLowerCase() : null;
+                    const isMatch = !!custom && (wanted.has(idTerm) || (geneTerm !== null && wanted.has(geneTerm)));
+
+                    if (isMatch) {
+                        matchedIds.add(custom.id);
+                        matchedTerms.add(wanted.has(idTerm) ? idTerm : geneTerm);
+                        matchedPoints.push({ x: trace.x[i], y: trace.y[i] });
+                    }
+
+                    traceSizes[i] = isMatch ? baseSize * settings.sizeScale : baseSize;
+                    traceOpacities[i] = isMatch ? 1 : settings.dimOpacity;
+                    traceLineColors[i] = isMatch ? settings.outlineColor : (original.lineColor || 'white');
+                    traceLineWidths[i] = isMatch ? settings.outlineWidth : (original.lineWidth !== undefined ? original.lineWidth : 0.5);
+                }
+
+                sizes.push(traceSizes);
+                opacities.push(traceOpacities);
+                lineColors.push(traceLineColors);
+                lineWidths.push(traceLineWidths);
+            });
+
+            Plotly.restyle(currentPlot, {
+                'marker.size': sizes,
+                'marker.opacity': opacities,
+                'marker.line.color': lineColors,
+                'marker.line.width': lineWidths
+            });
+            if (viewState.mode === 'histogram') {
+                this.markHistogramHighlights(histogramPoints);
+            }
+
+            highlightState.ids = ids.slice();
+            highlightState.options = settings;
+
+            if (matchedPoints.length > 0 && settings.zoom !== 'none' && viewState.mode !== 'histogram') {
+                this.focusOnPoints(matchedPoints, settings);
+            }
+
+            const result = {
+                matched: Array.from(matchedIds),
+                missing: ids.filter(id => !matchedTerms.has(String(id).toLowerCase()))
+            };
+            this.commitHistoryStep('Highlight proteins');
+            this.notifyProteinsHighlighted(result);
+            return result;
+        },
+
+        focusOnPoints: function(points, settings) {
+            const layout = currentPlot._fullLayout;
+            if (!highlightState.previousRanges) {
+                highlightState.previousRanges = {
+                    x: layout.xaxis.range.slice(),
+                    y: layout.yaxis.range.slice()
+                };
+            }
+
+            const xs = points.map(point => point.x);
+            const ys = points.map(point => point.y);
+            let xRange;
+            let yRange;
+
+            if (points.length === 1 || settings.zoom === 'center') {
+                const xSpan = layout.xaxis.range[1] - layout.xaxis.range[0];
+                const ySpan = layout.yaxis.range[1] - layout.yaxis.range[0];
+                const centerX = xs.reduce((a, b) => a + b, 0) / xs.length;
+                const centerY = ys.reduce((a, b) => a + b, 0) / ys.length;
+                xRange = [centerX - xSpan / 2, centerX + xSpan / 2];
+                yRange = [centerY - ySpan / 2, centerY + ySpan / 2];
+            } else {
+                const xMin = Math.min(...xs);
+                const xMax = Math.max(...xs);
+                const yMin = Math.min(...ys);
+                const yMax = Math.max(...ys);
+                const xPad = Math.max((xMax - xMin) * settings.padding, 0.25);
+                const yPad = Math.max((yMax - yMin) * settings.padding, 0.25);
+                xRange = [xMin - xPad, xMax + xPad];
+                yRange = [yMin - yPad, yMax + yPad];
+            }
+
+            Plotly.relayout(currentPlot, {
+                'xaxis.range': xRange,
+                'yaxis.range': yRange
+            });
+        },
+
+        clearHighlight: function(restoreView) {
+            if (!currentPlot || !highlightState.originals) {
+                highlightState.ids = null;
+                return;
+            }
+
+            const originals = highlightState.originals;
+            Plotly.restyle(currentPlot, {
+                'marker.size': originals.map(original => original.size),
+                'marker.opacity': originals.map(original => original.opacity === undefined ? 1 : original.opacity),
+                'marker.line.color': originals.map(original => original.lineColor),
+                'marker.line.width': originals.map(original => original.lineWidth)
+            }, originals.map((_, index) => index));
+
+            if (restoreView !== false && highlightState.previousRanges) {
+                Plotly.relayout(currentPlot, {
+                    'xaxis.range': highlightState.previousRanges.x,
+                    'yaxis.range': highlightState.previousRanges.y
+                });
+            }
+
+            if (viewState.mode === 'histogram') {
+                this.markHistogramHighlights([]);
+            }
+
+            highlightState.ids = null;
+            highlightState.options = null;
+            highlightState.originals = null;
+            highlightState.previousRanges = null;
+            this.commitHistoryStep('Clear highlight');
+            // An empty result tells native the highlight is gone, whoever cleared it
+            this.notifyProteinsHighlighted({ matched: [], missing: [] });
+        },
+
+        addAnnotation: function(annotation) {
+            if (!annotation) return null;
+
+            const requestedId = this.getAnnotationId(annotation);
+            if (requestedId && annotationMap.has(requestedId)) {
+                this.notifyAnnotationError('duplicate', requestedId, 'An annotation with id ' + requestedId + ' already exists');
+                return null;
+            }
+
+            const id = requestedId || this.generateAnnotationId(this.getAnnotationLabel(annotation), new Set());
+            const entry = Object.assign({}, annotation, { name: id });
+            annotations.push(entry);
+            this.reindexAnnotations();
+            this.updateAnnotations();
+            this.commitHistoryStep('Add label');
+            return id;
+        },
+
+        removeAnnotation: function(id) {
+            const annotationInfo = annotationMap.get(id);
+            if (!annotationInfo) {
+                this.notifyAnnotationError('notFound', id, 'No annotation found for ' + id);
+                return false;
+            }
+
+            annotations.splice(annotationInfo.index, 1);
+            this.reindexAnnotations();
+            this.updateAnnotations();
+            this.commitHistoryStep('Remove label');
+            return true;
+        },
+
+        updateAnnotation: function(id, patch) {
+            if (!currentPlot || !patch) return false;
+
+            const annotationInfo = annotationMap.get(id);
+            if (!annotationInfo) {
+                this.notifyAnnotationError('notFound', id, 'No annotation found for ' + id);
+                return false;
+            }
+
+            const update = {};
+            Object.keys(patch).forEach(key => {
+                if (key === 'name') return;
+                annotationInfo.annotation[key] = patch[key];
+                update['annotations[' + annotationInfo.index + '].' + key] = patch[key];
+            });
+
+            if (Object.keys(update).length > 0) {
+                Plotly.relayout(currentPlot, update);
+                this.commitHistoryStep('Edit label');
+            }
+            return true;
+        },
+
+        getAnnotations: function() {
+            return annotations.map((annotation, index) => ({
+                id: annotation.name,
+                title: annotation.title || null,
+                text: annotation.text,
+                x: annotation.x,
+                y: annotation.y,
+                ax: annotation.ax,
+                ay: annotation.ay,
+                index: index
+            }));
+        },
+
+        updateAnnotations: function() {
+            // Grid panels and the other views carry no data labels; the list is put back on return
+            if (currentPlot && !gridState.enabled && viewState.mode === 'volcano') {
+                if (themeState.theme) {
+                    PlotTheme.recolorAnnotations(annotations, themeState.theme, themeState.colors);
+                }
+                const update = { 'annotations': annotations };
+                Plotly.relayout(currentPlot, update)
+                    .then(() => {
+                        if (currentPlot.layout.annotations && currentPlot.layout.annotations !== annotations) {
+                            annotations = currentPlot.layout.annotations;
+                            this.reindexAnnotations();
+                        }
+                    });
+            }
+        },
+
+        updateAnnotationPosition: function(annotationId, ax, ay) {
+            if (!currentPlot) {
+                PlotLogger.error('annotations', 'No current plot available');
+                return;
+            }
+
+            const annotationInfo = this.resolveAnnotation(annotationId);
+            if (annotationInfo) {
+                this.beginHistoryGroup('Move label');
+                this.updateAnnotation(annotationInfo.annotation.name, { ax: ax, ay: ay });
+                this.endHistoryGroup();
+            }
+        },
+
+        updateAnnotationPositions: function(updates) {
+            if (!currentPlot || !updates || updates.length === 0) return;
+
+            const batchUpdate = {};
+            let hasChanges = false;
+
+            for (const update of updates) {
+                const annotationInfo = this.resolveAnnotation(update.id || update.title);
+
+                if (annotationInfo) {
+                    annotationInfo.annotation.ax = update.ax;
+                    annotationInfo.annotation.ay = update.ay;
+
+                    batchUpdate['annotations[' + annotationInfo.index + '].ax'] = update.ax;
+                    batchUpdate['annotations[' + annotationInfo.index + '].ay'] = update.ay;
+                    hasChanges = true;
+                }
+            }
+
+            if (hasChanges) {
+                Plotly.relayout(currentPlot, batchUpdate);
+                this.commitHistoryStep(updates.length === 1 ? 'Move label' : 'Move labels');
+            }
+        },
+
+        // Greedy label placement: each arrow annotation tries a ring of candidate
+        // offsets around its point and keeps the one that overlaps the fewest
+        // already-placed labels, annotated points and dense point cloud cells.
+        autoLayoutAnnotations: function(options) {
+            if (!currentPlot || !currentPlot._fullLayout) return [];
+
+            const settings = Object.assign({
+                ids: null,
+                minDistance: 20,
+                maxDistance: 120,
+                padding: 4,
+                cellSize: 10
+            }, options || {});
+
+            autoLayout.bounds = null;
+            const project = this.createPixelProjector();
+            if (!project) return [];
+
+            const wanted = settings.ids ? new Set(settings.ids) : null;
+            const targets = annotations.filter(annotation =>
+                annotation.showarrow !== false &&
+                annotation.xref !== 'paper' &&
+                annotation.yref !== 'paper' &&
+                (!wanted || wanted.has(annotation.name))
+            );
+            if (targets.length === 0) return [];
+
+            const density = this.buildDensityGrid(project, settings.cellSize);
+            const anchors = targets.map(annotation => project(annotation.x, annotation.y));
+            const placed = [];
+
+            // Labels in the densest regions have the fewest good spots, so place them first
+            const order = targets.map((annotation, index) => index).sort((a, b) =>
+                density.countAround(anchors[b], settings.cellSize * 2) - density.countAround(anchors[a], settings.cellSize * 2)
+            );
+
+            const updates = [];
+            this.beginHistoryGroup('Arrange labels');
+            order.forEach(index => {
+                const annotation = targets[index];
+                const anchor = anchors[index];
+                const size = this.measureAnnotation(annotation, settings.padding);
+                let best = null;
+
+                this.generateLabelOffsets(settings.minDistance, settings.maxDistance).forEach(offset => {
+                    const box = {
+                        left: anchor.x + offset.ax - size.width / 2,
+                        right: anchor.x + offset.ax + size.width / 2,
+                        top: anchor.y + offset.ay - size.height / 2,
+                        bottom: anchor.y + offset.ay + size.height / 2
+                    };
+                    const cost = this.scoreLabelBox(box, offset, placed, anchors, density);
+                    if (!best || cost < best.cost) {
+                        best = { cost: cost, offset: offset, box: box };
+                    }
+                });
+
+                if (best) {
+                    placed.push(best.box);
+                    updates.push({ id: annotation.name, ax: best.offset.ax, ay: best.offset.ay });
+                }
+            });
+
+            this.updateAnnotationPositions(updates);
+            this.endHistoryGroup();
+            this.notifyAnnotationMoved(updates.map(update => {
+                const annotation = annotationMap.get(update.id).annotation;
+                return {
+                    id: update.id,
+                    title: annotation.title || update.id,
+                    text: annotation.text,
+                    index: annotationMap.get(update.id).index,
+                    ax: update.ax,
+                    ay: update.ay
+                };
+            }));
+            return updates;
+        },
+
+        setAutoLayoutOnZoom: function(enabled, options) {
+            autoLayout.onZoom = !!enabled;
+            autoLayout.options = options || null;
+        },
+
+        // Same hierarchy as convertPlotToScreen, with the dimensions read once so
+        // that thousands of points can be projected without re-measuring the DOM.
+        createPixelProjector: function() {
+            const dims = this.getPlotDimensions();
+            if (!dims) return null;
+
+            const layout = currentPlot._fullLayout;
+            const xaxis = layout.xaxis;
+            const yaxis = layout.yaxis;
+            const margin = layout.margin || {};
+            const marginLeft = margin.l || 80;
+            const marginTop = margin.t || 100;
+            const originX = dims.webView.left + dims.plotElement.offsetX + marginLeft;
+            const originY = dims.webView.top + dims.plotElement.offsetY + marginTop;
+
+            return (x, y) => ({
+                x: originX + xaxis.l2p(x),
+                y: originY + yaxis.l2p(y)
+            });
+        },
+
+        buildDensityGrid: function(project, cellSize) {
+            const cells = new Map();
+            const keyFor = (px, py) => Math.floor(px / cellSize) + ':' + Math.floor(py / cellSize);
+
+            (currentPlot.data || []).forEach(trace => {
+                if (!trace.x || !trace.y || trace.visible === false || trace.visible === 'legendonly') return;
+                for (let i = 0; i < trace.x.length; i++) {
+                    const pixel = project(trace.x[i], trace.y[i]);
+                    const key = keyFor(pixel.x, pixel.y);
+                    cells.set(key, (cells.get(key) || 0) + 1);
+                }
+            });
+
+            return {
+                countInBox: (box) => {
+                    let total = 0;
+                    for (let cx = Math.floor(box.left / cellSize); cx <= Math.floor(box.right / cellSize); cx++) {
+                        for (let cy = Math.floor(box.top / cellSize); cy <= Math.floor(box.bottom / cellSize); cy++) {
+                            total += cells.get(cx + ':' + cy) || 0;
+                        }
+                    }
+                    return total;
+                },
+                countAround: (point, radius) => {
+                    let total = 0;
+                    for (let cx = Math.floor((point.x - radius) / cellSize); cx <= Math.floor((point.x + radius) / cellSize); cx++) {
+                        for (let cy = Math.floor((point.y - radius) / cellSize); cy <= Math.floor((point.y + radius) / cellSize); cy++) {
+                            total += cells.get(cx + ':' + cy) || 0;
+                        }
+                    }
+                    return total;
+                }
+            };
+        },
+
+        measureAnnotation: function(annotation, padding) {
+            const font = annotation.font || {};
+            const fontSize = font.size || 12;
+            const lines = String(annotation.text || '').split(/<br\s*\/?>/i).map(line => line.replace(/<[^>]*>/g, ''));
+
+            if (!measureContext) {
+                const canvas = document.createElement('canvas');
+                measureContext = canvas.getContext ? canvas.getContext('2d') : null;
+            }
+
+            let width = 0;
+            lines.forEach(line => {
+                if (measureContext) {
+                    measureContext.font = fontSize + 'px ' + (font.family || 'Arial, sans-serif');
+                    width = Math.max(width, measureContext.measureText(line).width);
+                } else {
+                    width = Math.max(width, line.length * fontSize * 0.6);
+                }
+            });
+
+            return {
+                width: width + padding * 2,
+                height: lines.length * fontSize * 1.3 + padding * 2
+            };
+        },
+
+        generateLabelOffsets: function(minDistance, maxDistance) {
+            const offsets = [];
+            const steps = 16;
+            for (let radius = minDistance; radius <= maxDistance; radius += 15) {
+                for (let step = 0; step < steps; step++) {
+                    const angle = (Math.PI * 2 * step) / steps - Math.PI / 2;
+                    offsets.push({
+                        ax: Math.round(radius * Math.cos(angle)),
+                        ay: Math.round(radius * Math.sin(angle)),
+                        distance: radius
+                    });
+                }
+            }
+            return offsets;
+        },
+
+        scoreLabelBox: function(box, offset, placed, anchors, density) {
+            const dims = this.getPlotAreaBounds();
+            let cost = offset.distance;
+
+            placed.forEach(other => {
+                const overlapX = Math.min(box.right, other.right) - Math.max(box.left, other.left);
+                const overlapY = Math.min(box.bottom, other.bottom) - Math.max(box.top, other.top);
+                if (overlapX > 0 && overlapY > 0) {
+                    cost += overlapX * overlapY * 10;
+                }
+            });
+
+            anchors.forEach(anchor => {
+                if (anchor.x >= box.left && anchor.x <= box.right && anchor.y >= box.top && anchor.y <= box.bottom) {
+                    cost += 2000;
+                }
+            });
+
+            cost += density.countInBox(box) * 25;
+
+            if (dims && (box.left < dims.left || box.right > dims.right || box.top < dims.top || box.bottom > dims.bottom)) {
+                cost += 5000;
+            }
+
+            return cost;
+        },
+
+        getPlotAreaBounds: function() {
+            if (!autoLayout.bounds) {
+                const dims = this.getPlotDimensions();
+                if (!dims) return null;
+                autoLayout.bounds = {
+                    left: dims.plotLeft,
+                    right: dims.plotRight,
+                    top: dims.plotTop,
+                    bottom: dims.plotBottom
+                };
+            }
+            return autoLayout.bounds;
+        },
+
+        getThresholds: function() {
+            if (!currentPlot || !currentPlot.layout) return null;
+
+            const source = gridState.source || viewState.source;
+            const layoutShapes = (source ? source.layout.shapes : currentPlot.layout.shapes) || [];
+            const shapes = this.findThresholdShapes(layoutShapes);
+            const fcIndex = shapes.fcPositive !== -1 ? shapes.fcPositive : shapes.fcNegative;
+            return {
+                log2FCCutoff: fcIndex !== -1 ? Math.abs(layoutShapes[fcIndex].x0) : null,
+                pCutoff: shapes.pValue !== -1 ? Math.pow(10, -layoutShapes[shapes.pValue].y0) : null
+            };
+        },
+
+        captureHistorySnapshot: function() {
+            return {
+                annotations: JSON.parse(JSON.stringify(annotations)),
+                thresholds: this.getThresholds(),
+                userShapes: this.getUserShapes(),
+                highlight: highlightState.ids ? {
+                    ids: highlightState.ids.slice(),
+                    options: Object.assign({}, highlightState.options)
+                } : null
+            };
+        },
+
+        // Everything between begin and end is committed as a single step
+        beginHistoryGroup: function(label) {
+            if (historyState.groupDepth === 0) {
+                historyState.groupLabel = label;
+            }
+            historyState.groupDepth++;
+        },
+
+        endHistoryGroup: function() {
+            if (historyState.groupDepth === 0) return;
+            historyState.groupDepth--;
+            if (historyState.groupDepth === 0) {
+                this.commitHistoryStep(historyState.groupLabel);
+                historyState.groupLabel = null;
+            }
+        },
+
+        commitHistoryStep: function(label) {
+            if (historyState.applying || historyState.groupDepth > 0 || !currentPlot) return;
+
+            const before = historyState.baseline;
+            const after = this.captureHistorySnapshot();
+            historyState.baseline = after;
+            if (!before || JSON.stringify(before) === JSON.stringify(after)) return;
+
+            historyState.undoStack.push({ label: label, before: before, after: after });
+            if (historyState.undoStack.length > historyState.limit) {
+                historyState.undoStack.shift();
+            }
+            historyState.redoStack = [];
+            this.notifyHistoryChanged('record', label);
+        },
+
+        undo: function() {
+            const step = historyState.undoStack.pop();
+            if (!step) return false;
+
+            this.restoreHistorySnapshot(step.before);
+            historyState.redoStack.push(step);
+            this.notifyHistoryChanged('undo', step.label);
+            return true;
+        },
+
+        redo: function() {
+            const step = historyState.redoStack.pop();
+            if (!step) return false;
+
+            this.restoreHistorySnapshot(step.after);
+            historyState.undoStack.push(step);
+            this.notifyHistoryChanged('redo', step.label);
+            return true;
+        },
+
+        clearHistory: function() {
+            historyState.undoStack = [];
+            historyState.redoStack = [];
+            historyState.groupDepth = 0;
+            historyState.groupLabel = null;
+            historyState.baseline = currentPlot ? this.captureHistorySnapshot() : null;
+            this.notifyHistoryChanged('clear');
+        },
+
+        getHistory: function() {
+            const lastUndo = historyState.undoStack[historyState.undoStack.length - 1];
+            const lastRedo = historyState.redoStack[historyState.redoStack.length - 1];
+            return {
+                canUndo: !!lastUndo,
+                canRedo: !!lastRedo,
+                undoLabel: lastUndo ? lastUndo.label : null,
+                redoLabel: lastRedo ? lastRedo.label : null,
+                undoCount: historyState.undoStack.length,
+                redoCount: historyState.redoStack.length
+            };
+        },
+
+        // Restores go through the normal APIs with recording suspended, then report
+        // the resulting annotation and threshold state so native storage follows.
+        restoreHistorySnapshot: function(snapshot) {
+            const current = this.captureHistorySnapshot();
+            historyState.applying = true;
+
+            try {
+                annotations = JSON.parse(JSON.stringify(snapshot.annotations));
+                this.reindexAnnotations();
+                this.updateAnnotations();
+
+                const thresholds = snapshot.thresholds;
+                const thresholdsChanged = thresholds && thresholds.log2FCCutoff !== null && thresholds.pCutoff !== null &&
+                    JSON.stringify(thresholds) !== JSON.stringify(current.thresholds);
+                if (thresholdsChanged) {
+                    const counts = this.setThresholds(thresholds.log2FCCutoff, thresholds.pCutoff);
+                    this.notifyThresholdsChanged({
+                        log2FCCutoff: thresholds.log2FCCutoff,
+                        pCutoff: thresholds.pCutoff,
+                        upCount: counts.up,
+                        downCount: counts.down
+                    });
+                }
+
+                if (snapshot.userShapes && JSON.stringify(snapshot.userShapes) !== JSON.stringify(current.userShapes)) {
+                    this.setUserShapes(snapshot.userShapes);
+                }
+
+                if (JSON.stringify(snapshot.highlight) !== JSON.stringify(current.highlight)) {
+                    if (snapshot.highlight) {
+                        highlightState.originals = null;
+                        this.highlightProteins(snapshot.highlight.ids,
+                            Object.assign({}, snapshot.highlight.options, { zoom: 'none' }));
+                    } else {
+                        this.clearHighlight(false);
+                    }
+                }
+            } finally {
+                historyState.applying = false;
+            }
+
+            historyState.baseline = this.captureHistorySnapshot();
+
+            const previousOffsets = new Map(current.annotations.map(annotation => [annotation.name, annotation]));
+            const moved = [];
+            annotations.forEach((annotation, index) => {
+                const previous = previousOffsets.get(annotation.name);
+                if (previous && (previous.ax !== annotation.ax || previous.ay !== annotation.ay)) {
+                    moved.push({
+                        id: annotation.name,
+                        title: annotation.title || annotation.name,
+                        text: annotation.text,
+                        index: index,
+                        ax: annotation.ax,
+                        ay: annotation.ay
+                    });
+                }
+            });
+            if (moved.length > 0) {
+                this.notifyAnnotationMoved(moved);
+            }
+        },
+
+        // Renders a copy of the live figure, so annotations, threshold lines and
+        // highlight styling are exported as they are on screen.
+        exportPlot: function(options) {
+            const settings = Object.assign({ format: 'png', background: 'white' }, options);
+            const format = settings.format === 'svg' ? 'svg' : 'png';
+
+            let figure;
+            try {
+                if (!currentPlot) {
+                    throw new Error('Plot is not ready');
+                }
+                figure = this.buildExportFigure(settings);
+            } catch (error) {
+                this.notifyExportError(format, error.message);
+                return Promise.reject(error);
+            }
+
+            const filename = settings.filename || 'volcano-plot.' + format;
+            const imageOptions = {
+                format: format,
+                width: figure.width,
+                height: figure.height,
+                scale: figure.scale
+            };
+
+            return Plotly.toImage({ data: currentPlot.data, layout: figure.layout }, imageOptions)
+                .then(dataURL => {
+                    const result = {
+                        format: format,
+                        filename: filename,
+                        width: figure.width,
+                        height: figure.height,
+                        scale: figure.scale,
+                        pixelWidth: Math.round(figure.width * figure.scale),
+                        pixelHeight: Math.round(figure.height * figure.scale),
+                        dpi: figure.dpi,
+                        preset: settings.preset || null,
+                        background: figure.background
+                    };
+                    PlotBridge.post('plotExported', Object.assign({ dataURL: dataURL }, result));
+                    return result;
+                })
+                .catch(error => {
+                    this.notifyExportError(format, error.message || format.toUpperCase() + ' export failed');
+                    throw error;
+                });
+        },
+
+        exportAsPNG: function(filename, width, height, options) {
+            return this.exportPlot(Object.assign({}, options, {
+                format: 'png',
+                filename: filename,
+                width: width,
+                height: height
+            }));
+        },
+
+        exportAsSVG: function(filename, width, height, options) {
+            return this.exportPlot(Object.assign({}, options, {
+                format: 'svg',
+                filename: filename,
+                width: width,
+                height: height
+            }));
+        },
+
+        getExportPresets: function() {
+            return EXPORT_PRESETS;
+        },
+
+        buildExportFigure: function(settings) {
+            const isPositive = value => typeof value === 'number' && isFinite(value) && value > 0;
+
+            let preset = null;
+            if (settings.preset) {
+                preset = EXPORT_PRESETS[settings.preset];
+                if (!preset) {
+                    throw new Error('Unknown export preset: ' + settings.preset);
+                }
+            }
+            if (settings.background !== 'white' && settings.background !== 'transparent') {
+                throw new Error('Unknown export background: ' + settings.background);
+            }
+
+            const fullLayout = currentPlot._fullLayout || {};
+            const baseFontSize = (fullLayout.font && fullLayout.font.size) || 12;
+
+            let width = fullLayout.width || 1200;
+            let height = fullLayout.height || 800;
+            let fontScale = 1;
+            if (preset) {
+                width = Math.round(preset.widthInches * EXPORT_POINTS_PER_INCH);
+                height = Math.round(width * preset.aspectRatio);
+                fontScale = preset.fontSize / baseFontSize;
+            }
+            if (isPositive(settings.width)) width = settings.width;
+            if (isPositive(settings.height)) height = settings.height;
+            if (isPositive(settings.fontScale)) fontScale = settings.fontScale;
+
+            // dpi only has a meaning once the layout is in points; plain pixel
+            // exports keep the 2x scale the export buttons have always used.
+            let dpi = null;
+            let scale = 2;
+            if (isPositive(settings.scale)) {
+                scale = settings.scale;
+            } else if (isPositive(settings.dpi) || preset) {
+                dpi = isPositive(settings.dpi) ? settings.dpi : DEFAULT_EXPORT_DPI;
+                scale = dpi / EXPORT_POINTS_PER_INCH;
+            }
+
+            const layout = JSON.parse(JSON.stringify(currentPlot.layout));
+            const background = settings.background === 'transparent' ? 'rgba(0,0,0,0)' : '#ffffff';
+            layout.width = width;
+            layout.height = height;
+            layout.autosize = false;
+            layout.paper_bgcolor = background;
+            layout.plot_bgcolor = background;
+
+            if (fontScale !== 1) {
+                layout.font = Object.assign({ size: baseFontSize }, layout.font);
+                this.scaleExportFonts(layout, fontScale);
+                if (layout.margin) {
+                    ['l', 'r', 't', 'b'].forEach(side => {
+                        if (typeof layout.margin[side] === 'number') {
+                            layout.margin[side] = Math.round(layout.margin[side] * fontScale);
+                        }
+                    });
+                }
+                // Pixel label offsets were laid out for the on-screen font size
+                (layout.annotations || []).forEach(annotation => {
+                    if ((!annotation.axref || annotation.axref === 'pixel') && typeof annotation.ax === 'number') {
+                        annotation.ax = annotation.ax * fontScale;
+                    }
+                    if ((!annotation.ayref || annotation.ayref === 'pixel') && typeof annotation.ay === 'number') {
+                        annotation.ay = annotation.ay * fontScale;
+                    }
+                });
+            }
+
+            return {
+                layout: layout,
+                width: width,
+                height: height,
+                scale: scale,
+                dpi: dpi,
+                background: settings.background
+            };
+        },
+
+        scaleExportFonts: function(node, factor) {
+            if (Array.isArray(node)) {
+                node.forEach(item => this.scaleExportFonts(item, factor));
+                return;
+            }
+            if (!node || typeof node !== 'object') return;
+
+            Object.keys(node).forEach(key => {
+                const value = node[key];
+                // font, tickfont, title.font, hoverlabel.font and the like
+                if (/font$/.test(key) && value && typeof value.size === 'number') {
+                    value.size = value.size * factor;
+                } else {
+                    this.scaleExportFonts(value, factor);
+                }
+            });
+        },
+
+        showError: function(message) {
+            document.getElementById('loading').style.display = 'none';
+            document.getElementById('plot').style.display = 'none';
+            const errorDiv = document.getElementById('error');
+            errorDiv.innerHTML = '<div><h3>Volcano Plot Error</h3><p>' + message + '</p></div>';
+            errorDiv.style.display = 'flex';
+            this.notifyError(message);
+        },
+
+        notifyReady: function() {
+            PlotBridge.post('plotReady', 'ready');
+        },
+
+        notifyPointClicked: function(pointData) {
+            PlotBridge.post('pointClicked', pointData);
+        },
+
+        notifyPointHovered: function(pointData) {
+            PlotBridge.post('pointHovered', pointData);
+        },
+
+        notifyAnnotationMoved: function(movedAnnotations) {
+            PlotBridge.post('annotationMoved', movedAnnotations);
+        },
+
+        notifyAnnotationError: function(code, id, message) {
+            PlotBridge.post('annotationError', {
+                code: code,
+                id: id,
+                message: message
+            });
+        },
+
+        notifyThresholdsChanged: function(thresholds) {
+            PlotBridge.post('thresholdsChanged', thresholds);
+        },
+
+        // created names the shapes just drawn, so native can ask for their labels
+        notifyUserShapesChanged: function(shapes, created) {
+            PlotBridge.post('userShapesChanged', {
+                shapes: shapes,
+                created: created || []
+            });
+        },
+
+        notifyProteinsHighlighted: function(result) {
+            PlotBridge.post('proteinsHighlighted', result);
+        },
+
+        notifyPointsClicked: function(clickData) {
+            PlotBridge.post('pointsClicked', clickData);
+        },
+
+        notifyViewportChanged: function(viewport) {
+            PlotBridge.post('viewportChanged', viewport);
+        },
+
+        notifySelectionCreated: function(selectionData) {
+            PlotBridge.post('selectionCreated', selectionData);
+        },
+
+        notifySelectionCleared: function() {
+            PlotBridge.post('selectionCleared', 'cleared');
+        },
+
+        notifyHistoryChanged: function(action, label) {
+            const change = Object.assign({
+                action: action,
+                label: label || null
+            }, this.getHistory());
+            // Undo/redo can add or remove labels, so native gets the full list to resync
+            if (action === 'undo' || action === 'redo') {
+                change.annotations = this.getAnnotations();
+            }
+            PlotBridge.post('historyChanged', change);
+        },
+
+        notifyExportError: function(format, message) {
+            PlotBridge.post('plotExportError', {
+                format: format,
+                error: message
+            });
+        },
+
+        notifyUpdated: function() {
+            PlotBridge.post('plotUpdated', 'updated');
+        },
+
+        notifyError: function(message) {
+            PlotBridge.post('plotError', message);
+        },
+
+        sendPlotDimensions: function() {
+            const dims = this.getPlotDimensions();
+            if (dims) {
+                PlotBridge.post('plotDimensions', dims);
+            }
+            return dims;
+        },
+
+        // Reply carries both results; the plotDimensions/annotationCoordinates
+        // events are still posted for listeners that predate the request protocol
+        requestPlotDimensions: function() {
+            const dims = this.sendPlotDimensions();
+            let coordinates = [];
+            if (currentPlot && currentPlot.layout && currentPlot.layout.annotations && currentPlot.layout.annotations.length > 0) {
+                coordinates = this.convertAndSendCoordinates(currentPlot.layout.annotations);
+            }
+            return {
+                dimensions: dims,
+                annotations: coordinates
+            };
+        },
+
+        convertAndSendCoordinates: function(annotations) {
+            const results = [];
+            const dims = this.getPlotDimensions();
+
+            if (dims) {
+                for (const annotation of annotations) {
+                    const screenPos = this.convertPlotToScreen(annotation.x, annotation.y);
+                    if (screenPos) {
+                        results.push({
+                            id: annotation.name || annotation.id || annotation.title,
+                            plotX: annotation.x,
+                            plotY: annotation.y,
+                            screenX: screenPos.x,
+                            screenY: screenPos.y,
+                            ax: annotation.ax || 0,
+                            ay: annotation.ay || 0
+                        });
+                    }
+                }
+            }
+
+            PlotLogger.debug('coordinates', 'Annotation coordinates converted', {
+                annotations: annotations.length,
+                converted: results.length,
+                hasDimensions: !!dims
+            });
+
+            PlotBridge.post('annotationCoordinates', results);
+            return results;
+        },
+
+        // level is 'debug', 'info', 'warn', 'error' or 'off'
+        setLogLevel: function(level) {
+            return PlotLogger.setLevel(level);
+        },
+
+        // A stale entry is one whose annotation is no longer the object at its
+        // index in the live layout, which is how misplaced-label reports start
+        getAnnotationMapState: function() {
+            const layoutAnnotations = (currentPlot && currentPlot.layout && currentPlot.layout.annotations) || [];
+            const entries = [];
+            annotationMap.forEach((info, id) => {
+                const annotation = info.annotation;
+                entries.push({
+                    id: id,
+                    index: info.index,
+                    label: this.getAnnotationLabel(annotation),
+                    x: annotation.x,
+                    y: annotation.y,
+                    ax: annotation.ax || 0,
+                    ay: annotation.ay || 0,
+                    stale: layoutAnnotations[info.index] !== annotation
+                });
+            });
+            return {
+                size: annotationMap.size,
+                layoutCount: layoutAnnotations.length,
+                entries: entries
+            };
+        },
+
+        // The dump is posted on the diagnostics handler and returned as the reply
+        requestDiagnostics: function(options) {
+            const settings = options || {};
+            // Snapshot the events first so the lookups below don't crowd them out
+            const events = PlotLogger.getEntries(typeof settings.limit === 'number' ? settings.limit : undefined);
+            const dump = {
+                type: 'dump',
+                time: new Date().toISOString(),
+                logLevel: PlotLogger.getLevel(),
+                plotlyVersion: Plotly.version || null,
+                bridgeVersion: PlotBridge.version,
+                plotReady: !!(currentPlot && currentPlot._fullLayout),
+                renderMode: renderState.activeMode,
+                viewMode: viewState.mode,
+                gridMode: gridState.enabled,
+                densityMode: densityState.enabled,
+                viewport: {
+                    width: window.innerWidth,
+                    height: window.innerHeight,
+                    devicePixelRatio: window.devicePixelRatio || 1
+                },
+                plotDimensions: this.getPlotDimensions(),
+                annotationMap: this.getAnnotationMapState(),
+                events: events
+            };
+
+            PlotBridge.post('diagnostics', dump);
+            return dump;
+        }
+    };
+
+    PlotBridge.registerTarget('VolcanoPlot', window.VolcanoPlot);
 
     document.addEventListener('DOMContentLoaded', function() {
         window.VolcanoPlot.initialize();
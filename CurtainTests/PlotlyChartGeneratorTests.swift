@@ -0,0 +1,217 @@
+//
+//  PlotlyChartGeneratorTests.swift
+//  CurtainTests
+//
+//  Unit tests for how the volcano generator streams large plots in batches
+//  and carries the shapes drawn on the plot through the settings
+//
+
+import XCTest
+@testable import Curtain
+
+final class PlotlyChartGeneratorTests: XCTestCase {
+
+    private var generator: PlotlyChartGenerator!
+
+    override func setUp() {
+        super.setUp()
+        generator = PlotlyChartGenerator()
+    }
+
+    // MARK: - Helper Methods
+
+    /// Points numbered from `offset`, so every batch slice can be traced back to its source
+    private func makeTrace(name: String, count: Int, offset: Int = 0) -> PlotTrace {
+        let values = (0..<count).map { Double(offset + $0) }
+        return PlotTrace(
+            x: values,
+            y: values,
+            mode: "markers",
+            type: "scattergl",
+            name: name,
+            text: values.map { "point \(Int($0))" },
+            customdata: values.map { ["id": "P\(Int($0))"] }
+        )
+    }
+
+    private func makePlotData(_ traces: [PlotTrace]) -> PlotData {
+        let axisTitle = PlotAxisTitle(text: "", font: nil)
+        return PlotData(
+            traces: traces,
+            layout: PlotLayout(xaxis: PlotAxis(title: axisTitle), yaxis: PlotAxis(title: axisTitle), showlegend: true),
+            config: PlotConfig(responsive: true, displayModeBar: false, editable: false, scrollZoom: true, doubleClick: "reset")
+        )
+    }
+
+    private func joinedValues(_ batches: [PlotPointBatch], trace name: String, key: String) -> [Double] {
+        return batches.filter { $0.traceName == name }.flatMap { $0.points[key] as? [Double] ?? [] }
+    }
+
+    // MARK: - Point Batch Tests
+
+    func testBatchesRoundRobinFromTopmostTrace() {
+        let batchSize = PlotlyChartGenerator.streamingBatchSize
+        let traces = [
+            makeTrace(name: "Background", count: batchSize * 2 + 10),
+            makeTrace(name: "Selected", count: batchSize / 2)
+        ]
+
+        let batches = generator.makePointBatches(traces)
+
+        // The last trace draws on top, so each round starts with it
+        XCTAssertEqual(batches.map { $0.traceName }, ["Selected", "Background", "Background", "Background"])
+        XCTAssertEqual(batches.map { ($0.points["y"] as? [Double])?.count ?? 0 }, [batchSize / 2, batchSize, batchSize, 10])
+    }
+
+    func testBatchesCoverEveryPointInOrder() {
+        let batchSize = PlotlyChartGenerator.streamingBatchSize
+        let background = makeTrace(name: "Background", count: batchSize * 3 + 1)
+        let selected = makeTrace(name: "Selected", count: batchSize + 7, offset: 1_000_000)
+
+        let batches = generator.makePointBatches([background, selected])
+
+        for trace in [background, selected] {
+            XCTAssertEqual(joinedValues(batches, trace: trace.name, key: "x"), trace.x as? [Double])
+            XCTAssertEqual(joinedValues(batches, trace: trace.name, key: "y"), trace.y)
+            XCTAssertEqual(batches.filter { $0.traceName == trace.name }.flatMap { $0.points["text"] as? [String] ?? [] }, trace.text)
+            XCTAssertEqual(
+                batches.filter { $0.traceName == trace.name }.flatMap { $0.points["customdata"] as? [[String: Any]] ?? [] }.compactMap { $0["id"] as? String },
+                trace.customdata?.compactMap { $0["id"] as? String }
+            )
+        }
+    }
+
+    func testBatchesSkipEmptyTraces() {
+        let batches = generator.makePointBatches([makeTrace(name: "Empty", count: 0), makeTrace(name: "Selected", count: 3)])
+
+        XCTAssertEqual(batches.map { $0.traceName }, ["Selected"])
+    }
+
+    // MARK: - Streaming Tests
+
+    func testSmallPlotIsNotStreamed() {
+        let plotData = generator.prepareStreaming(makePlotData([makeTrace(name: "Background", count: 100)]))
+
+        XCTAssertNil(plotData.stream)
+        XCTAssertEqual(plotData.traces.first?.y.count, 100)
+        XCTAssertTrue(generator.takePendingPointBatches().isEmpty)
+    }
+
+    func testLargePlotLoadsSkeletonAndHoldsBackEveryPoint() {
+        let threshold = PlotlyChartGenerator.streamingPointThreshold
+        let traces = [
+            makeTrace(name: "Background", count: threshold),
+            makeTrace(name: "Selected", count: 25, offset: threshold)
+        ]
+
+        let plotData = generator.prepareStreaming(makePlotData(traces))
+
+        XCTAssertEqual(plotData.stream?.totalPoints, threshold + 25)
+        XCTAssertEqual(plotData.stream?.traceTotals, ["Background": threshold, "Selected": 25])
+        XCTAssertEqual(plotData.traces.map { $0.name }, ["Background", "Selected"])
+        XCTAssertTrue(plotData.traces.allSatisfy { $0.y.isEmpty })
+
+        let batches = generator.takePendingPointBatches()
+        XCTAssertEqual(joinedValues(batches, trace: "Background", key: "y"), traces[0].y)
+        XCTAssertEqual(joinedValues(batches, trace: "Selected", key: "y"), traces[1].y)
+    }
+
+    func testPendingBatchesAreHandedOverOnce() {
+        let threshold = PlotlyChartGenerator.streamingPointThreshold
+        _ = generator.prepareStreaming(makePlotData([makeTrace(name: "Background", count: threshold + 1)]))
+
+        XCTAssertFalse(generator.takePendingPointBatches().isEmpty)
+        XCTAssertTrue(generator.takePendingPointBatches().isEmpty)
+    }
+
+    func testNewPlotDropsBatchesFromThePreviousOne() {
+        let threshold = PlotlyChartGenerator.streamingPointThreshold
+        _ = generator.prepareStreaming(makePlotData([makeTrace(name: "Background", count: threshold + 1)]))
+        _ = generator.prepareStreaming(makePlotData([makeTrace(name: "Background", count: 10)]))
+
+        XCTAssertTrue(generator.takePendingPointBatches().isEmpty)
+    }
+
+    // MARK: - User Shape Tests
+
+    func testShapesWithoutPrefixAreRenamedAroundUsedNames() {
+        let stored: [[String: Any]] = [
+            ["type": "rect", "name": "Region A", "x0": 0.0, "x1": 1.0, "y0": 0.0, "y1": 1.0],
+            ["type": "rect", "name": "user-shape-1", "x0": 1.0, "x1": 2.0, "y0": 0.0, "y1": 1.0],
+            ["type": "line", "x0": -1.0, "x1": 1.0, "y0": 2.0, "y1": 2.0]
+        ]
+
+        let shapes = generator.convertAdditionalShapes(stored.map { AnyCodable($0) }, textColor: "#000000")
+
+        XCTAssertEqual(shapes.map { $0.name }, ["user-shape-2", "user-shape-1", "user-shape-3"])
+        XCTAssertTrue(shapes.allSatisfy { $0.editable == true })
+    }
+
+    func testCircleShapesPassThroughWithLabelAndLayer() {
+        let circle: [String: Any] = [
+            "type": "circle",
+            "name": "user-shape-4",
+            "x0": -0.5, "x1": 0.5, "y0": 1.0, "y1": 2.0,
+            "line": ["color": "#ff0000", "width": 3, "dash": "dot"] as [String: Any],
+            "fillcolor": "rgba(255,0,0,0.2)",
+            "layer": "below",
+            "label": ["text": "Cluster", "font": ["size": 14], "textposition": "top center"] as [String: Any]
+        ]
+
+        let shape = generator.convertAdditionalShapes([AnyCodable(circle)], textColor: "#000000").first
+
+        XCTAssertEqual(shape?.type, "circle")
+        XCTAssertEqual(shape?.name, "user-shape-4")
+        XCTAssertEqual(shape?.x0, -0.5)
+        XCTAssertEqual(shape?.y1, 2.0)
+        XCTAssertEqual(shape?.line.color, "#ff0000")
+        XCTAssertEqual(shape?.line.width, 3)
+        XCTAssertEqual(shape?.line.dash, "dot")
+        XCTAssertEqual(shape?.fillcolor, "rgba(255,0,0,0.2)")
+        XCTAssertEqual(shape?.layer, "below")
+        XCTAssertEqual(shape?.label?["text"] as? String, "Cluster")
+        XCTAssertEqual(shape?.label?["textposition"] as? String, "top center")
+        XCTAssertEqual((shape?.label?["font"] as? [String: Any])?["size"] as? Int, 14)
+    }
+
+    func testUndrawableShapesAreNotDrawn() {
+        let stored: [AnyCodable] = [
+            AnyCodable(["type": "image", "source": "logo.png"] as [String: Any]),
+            AnyCodable(["x0": 0.0, "x1": 1.0] as [String: Any]),
+            AnyCodable("not a shape"),
+            AnyCodable(["type": "rect", "name": "user-shape-1", "x0": 0.0, "x1": 1.0, "y0": 0.0, "y1": 1.0] as [String: Any])
+        ]
+
+        let shapes = generator.convertAdditionalShapes(stored, textColor: "#000000")
+
+        XCTAssertEqual(shapes.map { $0.name }, ["user-shape-1"])
+    }
+
+    func testMergeReplacesDrawableShapesAndKeepsTheRest() {
+        let stored: [AnyCodable] = [
+            AnyCodable(["type": "rect", "name": "user-shape-1"] as [String: Any]),
+            AnyCodable(["type": "image", "source": "logo.png"] as [String: Any]),
+            AnyCodable(["note": "no type"] as [String: Any]),
+            AnyCodable(["type": "circle", "name": "user-shape-2"] as [String: Any])
+        ]
+        let reported: [[String: Any]] = [["type": "line", "name": "user-shape-3"]]
+
+        let merged = PlotlyChartGenerator.mergeUserShapes(reported, into: stored).compactMap { $0.value as? [String: Any] }
+
+        XCTAssertEqual(merged.count, 3)
+        XCTAssertEqual(merged[0]["source"] as? String, "logo.png")
+        XCTAssertEqual(merged[1]["note"] as? String, "no type")
+        XCTAssertEqual(merged[2]["name"] as? String, "user-shape-3")
+    }
+
+    func testMergeWithNoReportedShapesKeepsOnlyUndrawable() {
+        let stored: [AnyCodable] = [
+            AnyCodable(["type": "path", "name": "user-shape-1", "path": "M0,0L1,1Z"] as [String: Any]),
+            AnyCodable(["type": "image", "source": "logo.png"] as [String: Any])
+        ]
+
+        let merged = PlotlyChartGenerator.mergeUserShapes([], into: stored).compactMap { $0.value as? [String: Any] }
+
+        XCTAssertEqual(merged.map { $0["type"] as? String }, ["image"])
+    }
+}
@@ -0,0 +1,113 @@
+//
+//  ProteinSearchManagerTests.swift
+//  CurtainTests
+//
+//  Unit tests for the selection groups lasso and box selections create and edit
+//
+
+import XCTest
+@testable import Curtain
+
+final class ProteinSearchManagerTests: XCTestCase {
+
+    private var manager: ProteinSearchManager!
+    private var curtainData: CurtainData!
+
+    override func setUp() {
+        super.setUp()
+        manager = ProteinSearchManager()
+        curtainData = CurtainData()
+    }
+
+    // MARK: - Helper Methods
+
+    private func memberships(of proteinId: String) -> [String: Bool] {
+        return curtainData.selectedMap?[proteinId] ?? [:]
+    }
+
+    // MARK: - New List Tests
+
+    func testNewSelectionCreatesListWithComparisonLabel() {
+        let list = manager.createSearchListFromProteinIds(
+            name: "Lasso selection 1",
+            proteinIds: ["P1", "P2"],
+            curtainData: &curtainData
+        )
+
+        // Without a current comparison the label falls back to "1"
+        XCTAssertEqual(list.name, "Lasso selection 1 (1)")
+        XCTAssertEqual(list.proteinIds, ["P1", "P2"])
+        XCTAssertEqual(memberships(of: "P1"), [list.name: true])
+        XCTAssertEqual(memberships(of: "P2"), [list.name: true])
+        XCTAssertEqual(curtainData.selectionsName, [list.name])
+        XCTAssertNotNil(curtainData.settings.colorMap[list.name])
+    }
+
+    func testNewSelectionLeavesExistingListsAlone() {
+        let first = manager.createSearchListFromProteinIds(name: "Box selection 1", proteinIds: ["P1"], curtainData: &curtainData)
+        let second = manager.createSearchListFromProteinIds(name: "Box selection 2", proteinIds: ["P1", "P2"], curtainData: &curtainData)
+
+        XCTAssertEqual(memberships(of: "P1"), [first.name: true, second.name: true])
+        XCTAssertEqual(memberships(of: "P2"), [second.name: true])
+        XCTAssertEqual(curtainData.selectionsName, [first.name, second.name])
+        XCTAssertEqual(manager.searchSession.searchLists.count, 2)
+    }
+
+    // MARK: - Add Tests
+
+    func testAddPutsProteinsInTargetList() {
+        let list = manager.createSearchListFromProteinIds(name: "Lasso selection 1", proteinIds: ["P1"], curtainData: &curtainData)
+
+        manager.updateSearchListProteins(selectionName: list.name, adding: ["P2", "P3"], removing: [], curtainData: &curtainData)
+
+        XCTAssertEqual(memberships(of: "P1"), [list.name: true])
+        XCTAssertEqual(memberships(of: "P2"), [list.name: true])
+        XCTAssertEqual(memberships(of: "P3"), [list.name: true])
+        XCTAssertEqual(manager.searchSession.searchLists.first?.proteinIds, ["P1", "P2", "P3"])
+        XCTAssertEqual(manager.searchSession.searchLists.first?.id, list.id)
+    }
+
+    func testAddKeepsOtherMemberships() {
+        let other = manager.createSearchListFromProteinIds(name: "Box selection 1", proteinIds: ["P1"], curtainData: &curtainData)
+        let target = manager.createSearchListFromProteinIds(name: "Box selection 2", proteinIds: ["P2"], curtainData: &curtainData)
+
+        manager.updateSearchListProteins(selectionName: target.name, adding: ["P1"], removing: [], curtainData: &curtainData)
+
+        XCTAssertEqual(memberships(of: "P1"), [other.name: true, target.name: true])
+        XCTAssertEqual(manager.searchSession.searchLists.first { $0.id == other.id }?.proteinIds, ["P1"])
+    }
+
+    // MARK: - Remove Tests
+
+    func testRemoveTakesProteinsOutOfTargetList() {
+        let list = manager.createSearchListFromProteinIds(name: "Lasso selection 1", proteinIds: ["P1", "P2", "P3"], curtainData: &curtainData)
+
+        manager.updateSearchListProteins(selectionName: list.name, adding: [], removing: ["P1", "P3"], curtainData: &curtainData)
+
+        // A protein left in no group drops out of the map entirely
+        XCTAssertNil(curtainData.selectedMap?["P1"])
+        XCTAssertNil(curtainData.selectedMap?["P3"])
+        XCTAssertEqual(memberships(of: "P2"), [list.name: true])
+        XCTAssertEqual(manager.searchSession.searchLists.first?.proteinIds, ["P2"])
+    }
+
+    func testRemoveKeepsOtherMemberships() {
+        let other = manager.createSearchListFromProteinIds(name: "Box selection 1", proteinIds: ["P1"], curtainData: &curtainData)
+        let target = manager.createSearchListFromProteinIds(name: "Box selection 2", proteinIds: ["P1", "P2"], curtainData: &curtainData)
+
+        manager.updateSearchListProteins(selectionName: target.name, adding: [], removing: ["P1"], curtainData: &curtainData)
+
+        XCTAssertEqual(memberships(of: "P1"), [other.name: true])
+        XCTAssertEqual(memberships(of: "P2"), [target.name: true])
+    }
+
+    func testRemoveIgnoresProteinsOutsideTheList() {
+        let list = manager.createSearchListFromProteinIds(name: "Lasso selection 1", proteinIds: ["P1"], curtainData: &curtainData)
+
+        manager.updateSearchListProteins(selectionName: list.name, adding: [], removing: ["P9"], curtainData: &curtainData)
+
+        XCTAssertNil(curtainData.selectedMap?["P9"])
+        XCTAssertEqual(memberships(of: "P1"), [list.name: true])
+        XCTAssertEqual(manager.searchSession.searchLists.first?.proteinIds, ["P1"])
+    }
+}
@@ -450,6 +450,85 @@ final class AnnotationAndBracketUITests: XCTestCase {
         }
     }
 
+    @MainActor
+    func testMoveAnnotationByDraggingOnPlot() throws {
+        guard loadTPExampleAndNavigateToDetails() else {
+            XCTFail("Failed to load TP example data")
+            return
+        }
+
+        navigateToVolcanoPlotTab()
+        sleep(3)
+
+        let volcanoWebView = app.webViews.firstMatch
+        guard volcanoWebView.waitForExistence(timeout: 30) else {
+            XCTFail("Volcano plot WebView not found")
+            return
+        }
+
+        // Create annotation first; new labels sit 20px left of and above their point
+        let pointCoordinate = volcanoWebView.coordinate(withNormalizedOffset: CGVector(dx: 0.4, dy: 0.4))
+        pointCoordinate.tap()
+        sleep(2)
+
+        guard app.staticTexts["Protein Interaction"].waitForExistence(timeout: 10) else {
+            XCTFail("Point Interaction Modal did not appear")
+            return
+        }
+        app.buttons["Annotate"].tap()
+        sleep(1)
+        app.buttons["Done"].tap()
+        sleep(2)
+
+        // Enter annotation edit mode, which starts with labels draggable on the plot
+        let editModeButton = app.buttons["annotationEditModeButton"]
+        guard editModeButton.waitForExistence(timeout: 5) else {
+            XCTFail("Annotation edit mode button not found")
+            return
+        }
+        editModeButton.tap()
+        sleep(2)
+
+        let interactionPicker = app.segmentedControls["annotationEditInteractionPicker"]
+        guard interactionPicker.waitForExistence(timeout: 5) else {
+            XCTFail("Label editing picker not found")
+            return
+        }
+        XCTAssertTrue(interactionPicker.buttons["Drag on Plot"].isSelected, "Edit mode should start with dragging on the plot")
+
+        // Drag the label text well away from its point
+        let labelCoordinate = pointCoordinate.withOffset(CGVector(dx: -20, dy: -20))
+        labelCoordinate.press(forDuration: 0.5, thenDragTo: pointCoordinate.withOffset(CGVector(dx: 60, dy: -70)))
+        sleep(2)
+
+        // Read back the saved offsets through the slider editor
+        interactionPicker.buttons["Tap to Edit"].tap()
+        sleep(1)
+        pointCoordinate.tap()
+        sleep(2)
+
+        guard app.navigationBars["Edit Annotation"].waitForExistence(timeout: 5) else {
+            XCTFail("Edit Annotation modal did not appear")
+            return
+        }
+        app.buttons["annotationMoveSliderOption"].tap()
+        sleep(1)
+
+        let horizontalOffset = app.staticTexts.matching(NSPredicate(format: "label BEGINSWITH 'Horizontal Offset:'")).firstMatch
+        let verticalOffset = app.staticTexts.matching(NSPredicate(format: "label BEGINSWITH 'Vertical Offset:'")).firstMatch
+        guard horizontalOffset.waitForExistence(timeout: 5), verticalOffset.exists else {
+            XCTFail("Offset labels not found")
+            return
+        }
+
+        // The drag moved the text right and up from its -20, -20 start
+        XCTAssertNotEqual(horizontalOffset.label, "Horizontal Offset: -20px", "Dragged ax should be saved to textAnnotation")
+        XCTAssertNotEqual(verticalOffset.label, "Vertical Offset: -20px", "Dragged ay should be saved to textAnnotation")
+        print("Annotation dragged on plot: \(horizontalOffset.label), \(verticalOffset.label)")
+
+        app.buttons["Cancel"].tap()
+    }
+
     // MARK: - Bar Chart Bracket Tests
 
     @MainActor